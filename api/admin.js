@@ -4,23 +4,54 @@ const { getRecentChats, getRecentToolCalls, getAnalytics } = require('../utils/l
 const User = require('../models/User');
 const Chat = require('../models/Chat');
 const ToolCall = require('../models/ToolCall');
+const QuestionGroup = require('../models/QuestionGroup');
+const Meeting = require('../models/Meeting');
+const { MEETING_STATUSES } = require('../models/Meeting');
+const Notification = require('../models/Notification');
+const { NOTIFICATION_STATUSES } = require('../models/Notification');
+const { getNotifier } = require('../lib/notifications');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const { WEBHOOK_EVENTS } = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { sendTestEvent, drainWebhooks, emitEvent, checkWebhookUrl } = require('../lib/webhooks');
+const { LEAD_STAGES, EMAIL_KINDS } = require('../models/User');
+const { refreshLeadScore, buildTimeline } = require('../lib/leads');
+const Opportunity = require('../models/Opportunity');
+const { OPPORTUNITY_STATUSES, OPPORTUNITY_TYPES } = require('../models/Opportunity');
 const database = require('../models/database');
+const tenants = require('../lib/tenants');
+const { tenantFilter } = require('../models/tenantScope');
+const { getKnowledgeBase } = require('../lib/knowledgeBase');
+const { getProviderHealth } = require('../lib/providers');
+const { getPriceTable } = require('../lib/usage');
+const spendBudget = require('../utils/spendBudget');
+const { addToTriage, invalidateAnswerCache, questionTerms } = require('../lib/questionTriage');
+const mongoose = require('mongoose');
 
-// Secret-based authentication middleware
+// Secret-based authentication middleware — the secret also selects the tenant whose data is visible
 function requireSecret(req, res, next) {
   const providedSecret = req.query.secret || req.headers['x-admin-secret'];
-  const adminSecret = process.env.ADMIN_SECRET || 'your-secret-key-here';
+  const tenant = tenants.findByAdminSecret(providedSecret);
 
-  if (!providedSecret || providedSecret !== adminSecret) {
+  if (!tenant) {
     return res.status(403).json({
       error: 'Forbidden. Valid admin secret required.',
       hint: 'Provide secret as query parameter: ?secret=YOUR_SECRET or X-Admin-Secret header',
     });
   }
 
+  req.tenant = tenant;
   next();
 }
 
+// Whoever runs the deployment, as opposed to one tenant's admin: only they see process-wide state
+function isOperator(req) {
+  const operatorSecret = process.env.OPERATOR_SECRET;
+  const provided = req.query.operatorSecret || req.headers['x-operator-secret'];
+  return Boolean(operatorSecret) && provided === operatorSecret;
+}
+
 // GET /api/admin/chats - View recent chat sessions (protected)
 router.get('/chats', requireSecret, async (req, res) => {
   try {
@@ -28,7 +59,7 @@ router.get('/chats', requireSecret, async (req, res) => {
     const maxLimit = 200; // Prevent excessive data requests
 
     const actualLimit = Math.min(limit, maxLimit);
-    const chats = await getRecentChats(actualLimit);
+    const chats = await getRecentChats(req.tenant.id, actualLimit);
 
     res.json({
       chats,
@@ -49,7 +80,7 @@ router.get('/tools', requireSecret, async (req, res) => {
     const maxLimit = 200;
 
     const actualLimit = Math.min(limit, maxLimit);
-    const tools = await getRecentToolCalls(actualLimit);
+    const tools = await getRecentToolCalls(req.tenant.id, actualLimit);
 
     res.json({
       tools,
@@ -66,7 +97,7 @@ router.get('/tools', requireSecret, async (req, res) => {
 // GET /api/admin/analytics - View analytics data (protected)
 router.get('/analytics', requireSecret, async (req, res) => {
   try {
-    const analytics = await getAnalytics();
+    const analytics = await getAnalytics(req.tenant.id);
 
     if (!analytics) {
       return res.status(500).json({ error: 'Failed to generate analytics' });
@@ -94,7 +125,8 @@ router.get('/users', requireSecret, async (req, res) => {
 
     // Aggregation pipeline to get comprehensive user data
     const usersWithData = await User.aggregate([
-      // Stage 1: Get all users
+      // Stage 1: Get this tenant's users
+      { $match: tenantFilter(req.tenant.id) },
       {
         $lookup: {
           from: 'chats',
@@ -211,6 +243,7 @@ router.get('/users', requireSecret, async (req, res) => {
           totalToolCalls: 1,
           mostRecentActivity: 1,
           mostRecentChat: 1,
+          resumeDownloads: 1,
           tags: 1,
         },
       },
@@ -268,6 +301,7 @@ router.get('/users', requireSecret, async (req, res) => {
               timestamp: user.mostRecentChat.timestamp,
             }
           : null,
+        resumeDownloads: user.resumeDownloads || [],
         tags: user.tags || [],
       })),
       total: usersWithData.length,
@@ -281,13 +315,25 @@ router.get('/users', requireSecret, async (req, res) => {
   }
 });
 
-// GET /api/admin/status - View system status (protected)
+// GET /api/admin/status - View system status (protected); the process-wide parts (provider
+// health, the site-wide budget, the server) need the operator secret as well
 router.get('/status', requireSecret, async (req, res) => {
   try {
     const dbStatus = database.getConnectionStatus();
 
+    if (!isOperator(req)) {
+      return res.json({
+        tenant: req.tenant.id,
+        database: { isConnected: dbStatus.isConnected, status: dbStatus.status },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     res.json({
+      tenant: req.tenant.id,
       database: dbStatus,
+      llm: getProviderHealth(),
+      budget: await spendBudget.getStatus(),
       server: {
         uptime: process.uptime(),
         nodeVersion: process.version,
@@ -309,8 +355,8 @@ router.get('/sessions/:sessionId', requireSecret, async (req, res) => {
 
     await database.waitForConnection();
 
-    const chats = await Chat.getChatsBySession(sessionId);
-    const tools = await ToolCall.getToolCallsBySession(sessionId);
+    const chats = await Chat.getChatsBySession(sessionId, req.tenant.id);
+    const tools = await ToolCall.getToolCallsBySession(sessionId, req.tenant.id);
 
     res.json({
       sessionId,
@@ -354,6 +400,7 @@ router.get('/search', requireSecret, async (req, res) => {
 
     if (type === 'all' || type === 'chats') {
       const chatResults = await Chat.find({
+        ...tenantFilter(req.tenant.id),
         $or: [
           { userMessage: { $regex: query, $options: 'i' } },
           { assistantMessage: { $regex: query, $options: 'i' } },
@@ -374,6 +421,7 @@ router.get('/search', requireSecret, async (req, res) => {
 
     if (type === 'all' || type === 'users') {
       const userResults = await User.find({
+        ...tenantFilter(req.tenant.id),
         $or: [
           { email: { $regex: query, $options: 'i' } },
           { name: { $regex: query, $options: 'i' } },
@@ -405,14 +453,912 @@ router.get('/search', requireSecret, async (req, res) => {
   }
 });
 
+// GET /api/admin/costs - Token usage and estimated spend by day, visitor, session and model (protected)
+router.get('/costs', requireSecret, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    await database.waitForConnection();
+
+    const [byDay, byUser, bySession, byModel] = await Promise.all([
+      Chat.getUsageRollup(req.tenant.id, { since, groupBy: 'day' }),
+      Chat.getUsageRollup(req.tenant.id, { since, groupBy: 'user', limit }),
+      Chat.getUsageRollup(req.tenant.id, { since, groupBy: 'session', limit }),
+      Chat.getUsageByModel(req.tenant.id, since),
+    ]);
+
+    const totals = byDay.reduce(
+      (acc, day) => {
+        acc.turns += day.turns;
+        acc.promptTokens += day.promptTokens;
+        acc.completionTokens += day.completionTokens;
+        acc.totalTokens += day.totalTokens;
+        acc.cost += day.cost;
+        return acc;
+      },
+      { turns: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 }
+    );
+
+    res.json({
+      tenant: req.tenant.id,
+      days,
+      since: since.toISOString(),
+      currency: getPriceTable().currency,
+      totals: { ...totals, costPerTurn: totals.turns ? totals.cost / totals.turns : 0 },
+      byDay: byDay.map(({ _id, ...day }) => ({ date: _id, ...day })),
+      byUser: byUser.map(({ _id, ...user }) => ({ userId: _id, ...user })),
+      bySession: bySession.map(({ _id, ...session }) => ({ sessionId: _id, ...session })),
+      byModel,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin costs endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/knowledge - Knowledge base stats, plus a retrieval preview when q is given (protected)
+router.get('/knowledge', requireSecret, (req, res) => {
+  try {
+    const knowledgeBase = getKnowledgeBase(req.tenant.knowledgeDir);
+    const { q: query, limit = 5 } = req.query;
+
+    res.json({
+      stats: knowledgeBase.getStats(),
+      query: query || null,
+      results: query ? knowledgeBase.search(query, { limit: Math.min(parseInt(limit) || 5, 20), minScore: 0 }) : [],
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin knowledge endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a question group owned by the admin's tenant, or send a 404
+async function findQuestionGroup(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Question group not found' });
+    return null;
+  }
+
+  const group = await QuestionGroup.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) });
+  if (!group) {
+    res.status(404).json({ error: 'Question group not found' });
+  }
+  return group;
+}
+
+// GET /api/admin/unknown-questions - Triage inbox of grouped unknown questions (protected)
+router.get('/unknown-questions', requireSecret, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'answered', 'ignored'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: open, answered, ignored' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    await database.waitForConnection();
+
+    const [groups, counts] = await Promise.all([
+      QuestionGroup.getInbox(req.tenant.id, { status, limit }),
+      QuestionGroup.getStatusCounts(req.tenant.id),
+    ]);
+
+    res.json({
+      groups: groups.map(group => group.toPublic()),
+      counts,
+      total: groups.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin unknown questions endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/unknown-questions/sync - File logged unknown questions that aren't in a group yet (protected)
+router.post('/unknown-questions/sync', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const linkedIds = await QuestionGroup.distinct('occurrences.toolCallId', tenantFilter(req.tenant.id));
+    const unlinked = { ...tenantFilter(req.tenant.id), type: 'unknown_question', _id: { $nin: linkedIds } };
+    // Calls logged without a question can't be filed; they're counted, not fetched every sync
+    const [pending, withoutQuestion] = await Promise.all([
+      ToolCall.find({ ...unlinked, 'data.question': { $nin: [null, ''] } })
+        .sort({ timestamp: 1 })
+        .limit(500)
+        .lean(),
+      ToolCall.countDocuments({ ...unlinked, 'data.question': { $in: [null, ''] } }),
+    ]);
+
+    let filed = 0;
+    for (const toolCall of pending) {
+      const group = await addToTriage(toolCall.data.question, {
+        tenantId: req.tenant.id,
+        toolCallId: toolCall._id,
+        sessionId: toolCall.sessionId,
+        userId: toolCall.userId,
+        askedAt: toolCall.timestamp,
+      });
+      if (group) {
+        filed++;
+      }
+    }
+
+    res.json({
+      filed,
+      skipped: withoutQuestion + pending.length - filed,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin unknown questions sync error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/unknown-questions/:id - One question group with every occurrence (protected)
+router.get('/unknown-questions/:id', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const group = await findQuestionGroup(req, res);
+    if (!group) {
+      return;
+    }
+
+    res.json({ group: group.toPublic(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin unknown question endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/unknown-questions/:id - Answer, ignore, reopen or reword a group (protected)
+router.patch('/unknown-questions/:id', requireSecret, async (req, res) => {
+  try {
+    const { status, answer, canonicalQuestion } = req.body || {};
+
+    if (status !== undefined && !['open', 'answered', 'ignored'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: open, answered, ignored' });
+    }
+    if (answer !== undefined && typeof answer !== 'string') {
+      return res.status(400).json({ error: 'answer must be a string' });
+    }
+    if (canonicalQuestion !== undefined && (typeof canonicalQuestion !== 'string' || !canonicalQuestion.trim())) {
+      return res.status(400).json({ error: 'canonicalQuestion must be a non-empty string' });
+    }
+
+    await database.waitForConnection();
+
+    const group = await findQuestionGroup(req, res);
+    if (!group) {
+      return;
+    }
+
+    if (canonicalQuestion !== undefined) {
+      group.canonicalQuestion = canonicalQuestion.trim();
+      group.terms = questionTerms(group.canonicalQuestion);
+    }
+
+    if (answer !== undefined) {
+      group.answer = answer.trim();
+    }
+
+    // Writing an answer implies the group is answered unless a status was given explicitly
+    const nextStatus = status || (answer !== undefined && group.answer ? 'answered' : group.status);
+    if (nextStatus === 'answered' && !group.answer) {
+      return res.status(400).json({ error: 'An answer is required to mark a group as answered' });
+    }
+    if (nextStatus === 'answered' && group.status !== 'answered') {
+      group.answeredAt = new Date();
+    }
+    group.status = nextStatus;
+
+    await group.save();
+    invalidateAnswerCache(req.tenant.id);
+
+    res.json({ group: group.toPublic(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin unknown question update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/unknown-questions/:id/merge - Fold other groups into this one (protected)
+router.post('/unknown-questions/:id/merge', requireSecret, async (req, res) => {
+  try {
+    const { groupIds } = req.body || {};
+
+    if (!Array.isArray(groupIds) || groupIds.length === 0 || !groupIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'groupIds must be a non-empty array of group ids' });
+    }
+
+    await database.waitForConnection();
+
+    const group = await findQuestionGroup(req, res);
+    if (!group) {
+      return;
+    }
+
+    const others = await QuestionGroup.find({
+      ...tenantFilter(req.tenant.id),
+      _id: { $in: groupIds.filter(id => String(id) !== String(group._id)) },
+    });
+
+    others.forEach(other => {
+      other.occurrences.forEach(occurrence => group.addOccurrence(occurrence));
+      if (!group.answer && other.answer) {
+        group.answer = other.answer;
+      }
+    });
+
+    await group.save();
+    await QuestionGroup.deleteMany({ _id: { $in: others.map(other => other._id) } });
+    invalidateAnswerCache(req.tenant.id);
+
+    res.json({ group: group.toPublic(), merged: others.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin unknown question merge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function findMeeting(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Meeting not found' });
+    return null;
+  }
+
+  const meeting = await Meeting.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) });
+  if (!meeting) {
+    res.status(404).json({ error: 'Meeting not found' });
+  }
+  return meeting;
+}
+
+// GET /api/admin/meetings - Meeting requests, soonest first (protected)
+router.get('/meetings', requireSecret, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !MEETING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MEETING_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const upcoming = req.query.upcoming === 'true';
+
+    await database.waitForConnection();
+
+    const [meetings, counts] = await Promise.all([
+      Meeting.getRequests(req.tenant.id, { status, upcoming, limit }),
+      Meeting.getStatusCounts(req.tenant.id),
+    ]);
+
+    res.json({
+      meetings: meetings.map(meeting => meeting.toPublic()),
+      counts,
+      total: meetings.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin meetings endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/meetings/:id/confirm and /decline - Decide on a pending request (protected)
+['confirm', 'decline'].forEach(action => {
+  router.post(`/meetings/:id/${action}`, requireSecret, async (req, res) => {
+    try {
+      const { note } = req.body || {};
+      if (note !== undefined && typeof note !== 'string') {
+        return res.status(400).json({ error: 'note must be a string' });
+      }
+
+      await database.waitForConnection();
+
+      const meeting = await findMeeting(req, res);
+      if (!meeting) {
+        return;
+      }
+      if (meeting.status !== 'pending') {
+        return res.status(409).json({ error: `Meeting is already ${meeting.status}` });
+      }
+
+      await meeting.decide(action === 'confirm' ? 'confirmed' : 'declined', note?.trim());
+      console.log(`📅 Meeting ${meeting._id} ${meeting.status}`);
+
+      res.json({
+        meeting: meeting.toPublic(),
+        inviteUrl: meeting.getInvitePath(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`Admin meeting ${action} error:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+});
+
+// GET /api/admin/resume-downloads - Who fetched the resume and when, newest first (protected)
+router.get('/resume-downloads', requireSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    await database.waitForConnection();
+
+    const downloads = await User.getResumeDownloads(req.tenant.id, limit);
+
+    res.json({
+      downloads,
+      total: downloads.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin resume downloads endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/notifications - Owner notifications sent, failed or held back (protected)
+router.get('/notifications', requireSecret, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    await database.waitForConnection();
+
+    const notifications = await Notification.getRecent(req.tenant.id, { status, limit });
+
+    res.json({
+      notifications,
+      total: notifications.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin notifications endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/notifications/test - Send a test message through the configured channels (protected)
+router.post('/notifications/test', requireSecret, async (req, res) => {
+  try {
+    const { channels } = req.body || {};
+    if (channels !== undefined && (!Array.isArray(channels) || !channels.every(c => typeof c === 'string'))) {
+      return res.status(400).json({ error: 'channels must be an array of channel names' });
+    }
+
+    const result = await getNotifier(req.tenant.notificationsFile).sendTest(req.tenant.id, channels);
+    if (result.status === 'disabled') {
+      return res.status(404).json({ error: 'Notifications are not configured' });
+    }
+
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin notification test error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Problems with a webhook subscription body; `partial` for updates, where every field is optional
+function validateSubscription({ url, events, description, active }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    const urlProblem = typeof url === 'string' ? checkWebhookUrl(url) : 'url must be an http(s) URL';
+    if (urlProblem) {
+      return urlProblem;
+    }
+  }
+  if (events !== undefined && (!Array.isArray(events) || !events.every(event => WEBHOOK_EVENTS.includes(event)))) {
+    return `events must be an array of: ${WEBHOOK_EVENTS.join(', ')} (empty for all)`;
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+  return null;
+}
+
+async function findSubscription(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) });
+  if (!subscription) {
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+  return subscription;
+}
+
+// GET /api/admin/webhooks - Webhook subscriptions and their delivery health (protected)
+router.get('/webhooks', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const subscriptions = await WebhookSubscription.find(tenantFilter(req.tenant.id)).sort({ createdAt: -1 });
+
+    res.json({
+      webhooks: subscriptions.map(subscription => subscription.toPublic()),
+      events: WEBHOOK_EVENTS,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin webhooks endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/webhooks - Subscribe a URL to events; the signing secret is only returned here (protected)
+router.post('/webhooks', requireSecret, async (req, res) => {
+  try {
+    const { url, events = [], description } = req.body || {};
+    const problem = validateSubscription({ url, events, description });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await database.waitForConnection();
+
+    const subscription = await WebhookSubscription.create({ tenantId: req.tenant.id, url, events, description });
+    console.log(`🪝 Webhook ${subscription._id} subscribed ${url}`);
+
+    res.status(201).json({
+      webhook: subscription.toPublic({ withSecret: true }),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin webhook create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/webhooks/deliveries - Delivery log; ?status=dead is the dead-letter view (protected)
+router.get('/webhooks/deliveries', requireSecret, async (req, res) => {
+  try {
+    const { status, subscriptionId } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    if (subscriptionId && !mongoose.isValidObjectId(subscriptionId)) {
+      return res.status(400).json({ error: 'subscriptionId must be a webhook id' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    await database.waitForConnection();
+
+    const deliveries = await WebhookDelivery.getRecent(req.tenant.id, { status, subscriptionId, limit });
+
+    res.json({
+      deliveries,
+      total: deliveries.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin webhook deliveries endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/webhooks/deliveries/:id/retry - Send a dead delivery again (protected)
+router.post('/webhooks/deliveries/:id/retry', requireSecret, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    await database.waitForConnection();
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.status !== 'dead') {
+      return res.status(409).json({ error: `Delivery is ${delivery.status}; only dead deliveries can be retried` });
+    }
+
+    await delivery.requeue();
+    drainWebhooks();
+
+    res.json({ delivery: delivery.toObject(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin webhook retry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/webhooks/:id - Change the URL, events or description, or pause it (protected)
+router.patch('/webhooks/:id', requireSecret, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body || {};
+    const problem = validateSubscription({ url, events, description, active }, { partial: true });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await database.waitForConnection();
+
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    Object.entries({ url, events, description, active })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([field, value]) => subscription.set(field, value));
+    await subscription.save();
+
+    res.json({ webhook: subscription.toPublic(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin webhook update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/webhooks/:id - Unsubscribe; queued deliveries move to the dead letters (protected)
+router.delete('/webhooks/:id', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    await subscription.deleteOne();
+    const { modifiedCount } = await WebhookDelivery.updateMany(
+      { subscriptionId: subscription._id, status: 'pending' },
+      { $set: { status: 'dead', lastError: 'Subscription was deleted' } }
+    );
+    console.log(`🪝 Webhook ${subscription._id} deleted, ${modifiedCount} queued deliveries dropped`);
+
+    res.json({ deleted: true, droppedDeliveries: modifiedCount, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin webhook delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/webhooks/:id/rotate-secret - Issue a new signing secret (protected)
+router.post('/webhooks/:id/rotate-secret', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    await subscription.rotateSecret();
+
+    res.json({ webhook: subscription.toPublic({ withSecret: true }), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin webhook secret rotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/webhooks/:id/test - Send a signed webhook.test event now and report the outcome (protected)
+router.post('/webhooks/:id/test', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const subscription = await findSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    const delivery = await sendTestEvent(subscription);
+
+    res.json({
+      delivered: delivery.status === 'delivered',
+      delivery: delivery.toObject(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin webhook test error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function findOpportunity(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Opportunity not found' });
+    return null;
+  }
+
+  const opportunity = await Opportunity.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) }).populate(
+    'userId',
+    'name email lead.stage lead.score'
+  );
+  if (!opportunity) {
+    res.status(404).json({ error: 'Opportunity not found' });
+  }
+  return opportunity;
+}
+
+// GET /api/admin/opportunities - Roles and projects pitched in chat, newest first (protected)
+router.get('/opportunities', requireSecret, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !OPPORTUNITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${OPPORTUNITY_STATUSES.join(', ')}` });
+    }
+    if (type && !OPPORTUNITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${OPPORTUNITY_TYPES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    await database.waitForConnection();
+
+    const [opportunities, counts] = await Promise.all([
+      Opportunity.getRecent(req.tenant.id, { status, type, limit }),
+      Opportunity.getStatusCounts(req.tenant.id),
+    ]);
+
+    res.json({
+      opportunities: opportunities.map(opportunity => opportunity.toPublic()),
+      counts,
+      total: opportunities.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin opportunities endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/opportunities/:id - One opportunity with the chat it came from (protected)
+router.get('/opportunities/:id', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    const opportunity = await findOpportunity(req, res);
+    if (!opportunity) {
+      return;
+    }
+
+    const chats = opportunity.sessionId ? await Chat.getChatsBySession(opportunity.sessionId, req.tenant.id) : [];
+
+    res.json({
+      opportunity: opportunity.toPublic(),
+      conversation: chats.map(chat => ({
+        userMessage: chat.userMessage,
+        assistantMessage: chat.assistantMessage,
+        timestamp: chat.timestamp,
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin opportunity endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/opportunities/:id - Track what you did with it (protected)
+router.patch('/opportunities/:id', requireSecret, async (req, res) => {
+  try {
+    const { status, ownerNote } = req.body || {};
+    if (status !== undefined && !OPPORTUNITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${OPPORTUNITY_STATUSES.join(', ')}` });
+    }
+    if (ownerNote !== undefined && typeof ownerNote !== 'string') {
+      return res.status(400).json({ error: 'ownerNote must be a string' });
+    }
+
+    await database.waitForConnection();
+
+    const opportunity = await findOpportunity(req, res);
+    if (!opportunity) {
+      return;
+    }
+
+    if (status !== undefined) {
+      opportunity.status = status;
+    }
+    if (ownerNote !== undefined) {
+      opportunity.ownerNote = ownerNote.trim();
+    }
+    await opportunity.save();
+
+    res.json({ opportunity: opportunity.toPublic(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin opportunity update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function findLead(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Lead not found' });
+    return null;
+  }
+
+  const user = await User.findOne({ _id: req.params.id, ...tenantFilter(req.tenant.id) });
+  if (!user) {
+    res.status(404).json({ error: 'Lead not found' });
+  }
+  return user;
+}
+
+// GET /api/admin/leads - Visitors as a pipeline, filtered by stage, score, tag, email kind or text (protected)
+router.get('/leads', requireSecret, async (req, res) => {
+  try {
+    const { stage, tag, q, emailKind, roleAddress, sort = 'score' } = req.query;
+    if (stage && !LEAD_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `stage must be one of: ${LEAD_STAGES.join(', ')}` });
+    }
+    if (emailKind && !EMAIL_KINDS.includes(emailKind)) {
+      return res.status(400).json({ error: `emailKind must be one of: ${EMAIL_KINDS.join(', ')}` });
+    }
+    if (!['score', 'recent'].includes(sort)) {
+      return res.status(400).json({ error: 'sort must be score or recent' });
+    }
+
+    const minScore = parseInt(req.query.minScore) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pattern = q?.trim() ? { $regex: q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } : null;
+
+    await database.waitForConnection();
+
+    const [users, stages] = await Promise.all([
+      User.find({
+        ...tenantFilter(req.tenant.id),
+        status: { $ne: 'blocked' },
+        ...(stage ? User.leadStageFilter(stage) : {}),
+        ...(minScore > 0 ? { 'lead.score': { $gte: minScore } } : {}),
+        ...(tag ? { tags: tag } : {}),
+        ...(emailKind ? { 'emailQuality.kind': emailKind } : {}),
+        ...(roleAddress === 'true' ? { 'emailQuality.roleAddress': true } : {}),
+        ...(roleAddress === 'false' ? { 'emailQuality.roleAddress': { $ne: true } } : {}),
+        ...(pattern
+          ? { $or: [{ name: pattern }, { email: pattern }, { notes: pattern }, { 'facts.value': pattern }] }
+          : {}),
+      })
+        .sort(sort === 'score' ? { 'lead.score': -1, lastActivity: -1 } : { lastActivity: -1 })
+        .limit(limit),
+      User.getLeadStageCounts(req.tenant.id),
+    ]);
+
+    res.json({
+      leads: users.map(user => user.toLead()),
+      stages,
+      total: users.length,
+      limit,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin leads endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/leads/rescore - Recompute every visitor's score, e.g. after an upgrade (protected)
+router.post('/leads/rescore', requireSecret, async (req, res) => {
+  try {
+    await database.waitForConnection();
+
+    let rescored = 0;
+    for await (const user of User.find(tenantFilter(req.tenant.id)).cursor()) {
+      await refreshLeadScore(user);
+      rescored++;
+    }
+    console.log(`🎯 Rescored ${rescored} leads for tenant ${req.tenant.id}`);
+
+    res.json({ rescored, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin leads rescore error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/leads/:id - One lead with a fresh score and their timeline (protected)
+router.get('/leads/:id', requireSecret, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    await database.waitForConnection();
+
+    const user = await findLead(req, res);
+    if (!user) {
+      return;
+    }
+
+    await refreshLeadScore(user);
+    const timeline = await buildTimeline(user, { tenantId: req.tenant.id, limit });
+
+    res.json({
+      lead: { ...user.toLead(), notes: user.notes, facts: user.getAssistantContext().facts },
+      timeline,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Admin lead endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/admin/leads/:id - Move a lead through the pipeline or retag it (protected)
+router.patch('/leads/:id', requireSecret, async (req, res) => {
+  try {
+    const { stage, note, tags } = req.body || {};
+    if (stage !== undefined && !LEAD_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `stage must be one of: ${LEAD_STAGES.join(', ')}` });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || !tags.every(t => typeof t === 'string'))) {
+      return res.status(400).json({ error: 'tags must be an array of strings' });
+    }
+
+    await database.waitForConnection();
+
+    const user = await findLead(req, res);
+    if (!user) {
+      return;
+    }
+
+    const from = user.lead.stage || 'new';
+    if (stage !== undefined && stage !== from) {
+      user.setLeadStage(stage, note?.trim());
+    }
+    if (tags !== undefined) {
+      user.tags = [...new Set(tags.map(t => t.trim()).filter(Boolean))];
+    }
+    await refreshLeadScore(user);
+
+    if (user.lead.stage !== from) {
+      console.log(`🎯 Lead ${user._id} moved from ${from} to ${user.lead.stage}`);
+    }
+    const changes = {
+      ...(user.lead.stage !== from ? { stage: user.lead.stage, previousStage: from } : {}),
+      ...(tags !== undefined ? { tags: user.tags } : {}),
+    };
+    if (Object.keys(changes).length > 0) {
+      emitEvent('user.updated', req.tenant.id, {
+        userId: user._id,
+        sessionId: null,
+        changes,
+        user: { name: user.name || null, email: user.email || null },
+      });
+    }
+
+    res.json({ lead: user.toLead(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Admin lead update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/admin/dashboard - Dashboard data for frontend (protected)
 router.get('/dashboard', requireSecret, async (req, res) => {
   try {
     const [analytics, recentChats, recentTools, recentUsers] = await Promise.all([
-      getAnalytics(),
-      getRecentChats(10),
-      getRecentToolCalls(10),
-      database.isConnectionReady() ? User.getRecentUsers(10) : [],
+      getAnalytics(req.tenant.id),
+      getRecentChats(req.tenant.id, 10),
+      getRecentToolCalls(req.tenant.id, 10),
+      database.isConnectionReady() ? User.getRecentUsers(req.tenant.id, 10) : [],
     ]);
 
     res.json({
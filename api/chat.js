@@ -1,20 +1,151 @@
 const express = require('express');
 const router = express.Router();
 const AIAssistant = require('../lib/openai');
+const SmartValidator = require('../lib/smartValidator');
+const { recordIrrelevantQuestion, recordUserDetails, extractContactDetails } = require('../lib/tools');
 const rateLimiter = require('../utils/rateLimiter');
+const spendBudget = require('../utils/spendBudget');
 const { logChatSession } = require('../utils/logger');
 const geoip = require('geoip-lite');
 const useragent = require('useragent');
 const User = require('../models/User');
 const database = require('../models/database');
+const tenants = require('../lib/tenants');
+const { LLMError } = require('../lib/providers');
+const { UsageMeter } = require('../lib/usage');
+const { getPersona } = require('../lib/persona');
+const { buildEnvelope } = require('../lib/responseEnvelope');
+const { emitEvent } = require('../lib/webhooks');
+const { rescoreInBackground } = require('../lib/leads');
+
+// Lazy-load one AI Assistant per tenant to avoid startup issues
+const aiAssistants = new Map();
+function getAIAssistant(tenant) {
+  if (!aiAssistants.has(tenant.id)) {
+    aiAssistants.set(
+      tenant.id,
+      new AIAssistant({
+        tenantId: tenant.id,
+        personaFile: tenant.personaFile,
+        knowledgeDir: tenant.knowledgeDir,
+        enabledTools: tenant.enabledTools,
+        disabledTools: tenant.disabledTools,
+      })
+    );
+  }
+  return aiAssistants.get(tenant.id);
+}
+
+const smartValidators = new Map();
+function getSmartValidator(tenant) {
+  if (!smartValidators.has(tenant.id)) {
+    smartValidators.set(tenant.id, new SmartValidator({ personaFile: tenant.personaFile }));
+  }
+  return smartValidators.get(tenant.id);
+}
+
+// Pre-flight classification (tenant validationMode: off | log | enforce).
+// Irrelevant questions are recorded in log and enforce modes; enforce also returns a redirect reply.
+async function runPreflight(tenant, message, sessionId, userInfo, userId, usage) {
+  const preflight = await getSmartValidator(tenant).preflight(message, tenant.validationMode, usage);
+
+  if (preflight.checked && !preflight.isRelevant) {
+    console.log(`🚦 Irrelevant question (${preflight.mode} mode): ${message.slice(0, 80)}`);
+    await recordIrrelevantQuestion(message, sessionId, userInfo, userId, tenant.id);
+  }
+
+  return preflight;
+}
+
+// Shape a pre-flight redirect like an AI response so logging works unchanged
+function redirectResponse(message, redirect) {
+  return {
+    content: redirect,
+    messages: [
+      { role: 'user', content: message },
+      { role: 'assistant', content: redirect },
+    ],
+  };
+}
+
+const BUDGET_TOOL_CALL_ID = 'budget_contact_details';
+
+// Spend budget used up: answer without the model, but still capture any name/email in the message
+async function budgetExhaustedResponse(tenant, message, sessionId, userInfo, user) {
+  const details = extractContactDetails(message);
+  const result =
+    details.email || details.name
+      ? await recordUserDetails(details.email, details.name, '', sessionId, userInfo, user?._id, tenant.id)
+      : null;
+  // Promise a personal follow-up only when an email is actually on the visitor's record
+  const haveEmail = user?.email || (result?.recorded === 'ok' && details.email);
+  const content = haveEmail
+    ? "Thanks! I'm stepping away from the chat for a bit, but I have your email and will get back to you personally."
+    : process.env.BUDGET_EXHAUSTED_REPLY ||
+      "I'm stepping away from the chat for a bit. Leave your email and I'll get back to you personally!";
+
+  return {
+    content,
+    messages: [
+      { role: 'user', content: message },
+      // Shaped like a real record_user_details call, so it's logged and reported as one
+      ...(result
+        ? [
+            {
+              role: 'assistant',
+              content: null,
+              tool_calls: [
+                {
+                  id: BUDGET_TOOL_CALL_ID,
+                  type: 'function',
+                  function: { name: 'record_user_details', arguments: JSON.stringify(details) },
+                },
+              ],
+            },
+            { role: 'tool', tool_call_id: BUDGET_TOOL_CALL_ID, content: JSON.stringify(result) },
+          ]
+        : []),
+      { role: 'assistant', content },
+    ],
+  };
+}
+
+// Past the budget's reduce threshold every reply is kept short, whatever the pre-flight verdict
+function economyInstructions(tenant, budget) {
+  return budget.level === 'reduced' ? getSmartValidator(tenant).getResponseInstructions(false) : null;
+}
+
+// Visitor-facing wording for a typed LLM failure
+function llmErrorMessage(error) {
+  if (error.code === 'llm_timeout') {
+    return 'The AI service took too long to respond. Please try again.';
+  }
+  if (error.statusCode === 503) {
+    return 'AI service temporarily unavailable. Please try again in a moment.';
+  }
+  return 'The AI service could not handle this request. Please try again.';
+}
+
+// Drop current-session turns already folded into the session summary
+function withoutSummarizedTurns(history, summary) {
+  if (!summary) {
+    return history;
+  }
+  return { ...history, current: history.current.filter(chat => chat.timestamp > summary.coveredUntil) };
+}
+
+// Resolve the tenant from the site key or request origin
+function requireTenant(req, res, next) {
+  const tenant = tenants.resolve(req);
 
-// Lazy-load AI Assistant to avoid startup issues
-let aiAssistant = null;
-function getAIAssistant() {
-  if (!aiAssistant) {
-    aiAssistant = new AIAssistant();
+  if (!tenant) {
+    return res.status(404).json({
+      error: 'Unknown site. Provide a valid site key or call from a registered origin.',
+    });
   }
-  return aiAssistant;
+
+  req.tenant = tenant;
+  next();
 }
 
 // Middleware to extract user info
@@ -48,8 +179,38 @@ function getUserInfo(req) {
   };
 }
 
+// Conversation starters for the tenant's persona, limited to the tools it has on
+function getStarters(tenant) {
+  return getPersona(tenant.personaFile).getStarters(getAIAssistant(tenant).toolDefinitions.map(d => d.name));
+}
+
+// `blocks` and `suggestedReplies` for a finished turn
+function turnEnvelope(tenant, message, history, response, toolOutputs) {
+  return buildEnvelope({
+    content: response.content,
+    toolOutputs,
+    contacts: getPersona(tenant.personaFile).get().contact,
+    starters: getStarters(tenant),
+    askedMessages: [...history.current.map(chat => chat.userMessage), message],
+  });
+}
+
+// chat.completed webhook for a finished turn
+function announceTurn(tenant, { sessionId, user, message, response, toolOutputs, usage, streamed }) {
+  emitEvent('chat.completed', tenant.id, {
+    sessionId,
+    userId: user?._id || null,
+    message,
+    reply: response.content,
+    tools: toolOutputs.map(output => output.type),
+    route: response.route || null,
+    usage: usage.summary(),
+    streamed,
+  });
+}
+
 // POST /api/chat/init - Initialize a new chat session
-router.post('/chat/init', async (req, res) => {
+router.post('/chat/init', requireTenant, async (req, res) => {
   const startTime = Date.now();
   console.log(`🚀 [INIT] Starting chat init request at ${new Date().toISOString()}`);
 
@@ -67,7 +228,7 @@ router.post('/chat/init', async (req, res) => {
       console.log(`⏱️ [INIT] Database wait: ${Date.now() - dbWaitStart}ms`);
 
       const userCreateStart = Date.now();
-      const userResult = await User.findOrCreateByToken(token, userInfo);
+      const userResult = await User.findOrCreateByToken(token, userInfo, req.tenant.id);
       user = userResult.user;
       console.log(`⏱️ [INIT] User find/create: ${Date.now() - userCreateStart}ms`);
     } catch (dbError) {
@@ -96,12 +257,12 @@ router.post('/chat/init', async (req, res) => {
 
     // Initialize rate limit tracking
     const rateLimitStart = Date.now();
-    const rateLimitResult = await rateLimiter.checkRateLimit(sessionId, userInfo.ip);
+    const rateLimitResult = await rateLimiter.checkRateLimit(sessionId, userInfo.ip, req.tenant);
     console.log(`⏱️ [INIT] Rate limit check: ${Date.now() - rateLimitStart}ms`);
 
     // Get rate limit headers
     const headerStart = Date.now();
-    const rateLimitHeaders = await rateLimiter.getRateLimitHeaders(sessionId, userInfo.ip);
+    const rateLimitHeaders = await rateLimiter.getRateLimitHeaders(sessionId, userInfo.ip, req.tenant);
     Object.entries(rateLimitHeaders).forEach(([key, value]) => {
       res.setHeader(key, value);
     });
@@ -111,6 +272,8 @@ router.post('/chat/init', async (req, res) => {
     const totalTime = Date.now() - startTime;
     console.log(`🏁 [INIT] Total request time: ${totalTime}ms`);
 
+    const dailyLimit = rateLimiter.getDailyLimit(req.tenant);
+
     res.json({
       sessionId,
       userToken: user?.token || null,
@@ -120,13 +283,36 @@ router.post('/chat/init', async (req, res) => {
         name: user?.name || null,
         email: user?.email || null,
       },
+      starters: getStarters(req.tenant),
       rateLimits: {
         dailyCount: rateLimitResult.dailyCount,
-        dailyLimit: rateLimiter.MAX_MESSAGES_PER_DAY,
-        dailyRemaining: Math.max(0, rateLimiter.MAX_MESSAGES_PER_DAY - rateLimitResult.dailyCount),
+        dailyLimit,
+        dailyRemaining: Math.max(0, dailyLimit - rateLimitResult.dailyCount),
       },
       timestamp: new Date().toISOString(),
     });
+
+    emitEvent('session.started', req.tenant.id, {
+      sessionId,
+      userId: user?._id || null,
+      returningVisitor: (user?.sessions.length || 0) > 1,
+      user: { name: user?.name || null, email: user?.email || null },
+      geolocation: userInfo.geolocation
+        ? { country: userInfo.geolocation.country, city: userInfo.geolocation.city }
+        : null,
+      browser: userInfo.browser,
+    });
+
+    // The visitor's earlier sessions are over now; distil them into long-term memory in the
+    // background, like lead scoring, so the extraction call never holds up the handler
+    if (user) {
+      const assistant = getAIAssistant(req.tenant);
+      setImmediate(() => {
+        assistant
+          .rememberPastSessions(user, sessionId)
+          .catch(error => console.error('❌ Error extracting visitor memory:', error));
+      });
+    }
   } catch (error) {
     console.error('Chat init endpoint error:', error);
     res.status(500).json({
@@ -136,7 +322,7 @@ router.post('/chat/init', async (req, res) => {
 });
 
 // POST /api/chat - Main chat endpoint
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireTenant, async (req, res) => {
   const startTime = Date.now();
   console.log(`🚀 [CHAT] Starting chat request at ${new Date().toISOString()}`);
 
@@ -172,12 +358,13 @@ router.post('/chat', async (req, res) => {
 
     // Check rate limits (this also increments the counter)
     const rateLimitStart = Date.now();
-    const rateLimitResult = await rateLimiter.checkRateLimit(currentSessionId, userInfo.ip);
+    const dailyLimit = rateLimiter.getDailyLimit(req.tenant);
+    const rateLimitResult = await rateLimiter.checkRateLimit(currentSessionId, userInfo.ip, req.tenant);
     console.log(`⏱️ [CHAT] Rate limit check & increment: ${Date.now() - rateLimitStart}ms`);
 
     if (!rateLimitResult.allowed) {
       const resetTime = rateLimitResult.dailyResetTime;
-      const errorMessage = `Daily limit reached. You can send up to ${rateLimiter.MAX_MESSAGES_PER_DAY} messages per day. Please try again later in ${Math.floor((resetTime - Date.now()) / 1000 / 60)} minutes.`;
+      const errorMessage = `Daily limit reached. You can send up to ${dailyLimit} messages per day. Please try again later in ${Math.floor((resetTime - Date.now()) / 1000 / 60)} minutes.`;
 
       return res.status(429).json({
         error: errorMessage,
@@ -192,7 +379,7 @@ router.post('/chat', async (req, res) => {
 
     // Parallelize database operations
     let user = null;
-    let conversationHistory = [];
+    let conversationHistory = { current: [], prior: [] };
 
     if (userToken) {
       try {
@@ -203,7 +390,7 @@ router.post('/chat', async (req, res) => {
         const parallelStart = Date.now();
 
         // Run user operations in parallel
-        const userPromise = User.findByToken(userToken);
+        const userPromise = User.findByToken(userToken, req.tenant.id);
 
         // Start both operations
         const [foundUser] = await Promise.all([userPromise]);
@@ -217,23 +404,16 @@ router.post('/chat', async (req, res) => {
           const Chat = require('../models/Chat');
 
           const [historyChats] = await Promise.all([
-            Chat.getConversationHistory(user._id, currentSessionId, 5),
+            Chat.getConversationHistory(user._id, currentSessionId, req.tenant.id),
             user.updateSessionActivity(currentSessionId),
           ]);
 
           console.log(`⏱️ [CHAT] Parallel user data operations: ${Date.now() - parallelUserStart}ms`);
 
-          // Convert chat history to OpenAI message format
-          const convertStart = Date.now();
-          conversationHistory = historyChats
-            .map(chat => [
-              { role: 'user', content: chat.userMessage },
-              { role: 'assistant', content: chat.assistantMessage },
-            ])
-            .flat();
-          console.log(`⏱️ [CHAT] History conversion: ${Date.now() - convertStart}ms`);
-
-          console.log(`📚 Loaded ${conversationHistory.length} messages from conversation history`);
+          conversationHistory = historyChats;
+          console.log(
+            `📚 Loaded ${historyChats.current.length} session and ${historyChats.prior.length} earlier chats`
+          );
         }
       } catch (userError) {
         console.error('Error with user operations:', userError);
@@ -251,27 +431,53 @@ router.post('/chat', async (req, res) => {
     // Prepare user context for personalization
     let userContext = null;
     if (user) {
-      userContext = {
-        name: user.name,
-        email: user.email,
-        notes: user.notes,
-      };
+      userContext = user.getAssistantContext(currentSessionId);
     }
 
-    // Get AI response with conversation history
+    // Site-wide spend budget: 'reduced' switches to economy replies, 'exhausted' skips the model
+    const budget = await spendBudget.getStatus();
+
+    // Token usage of every completion made for this turn
+    const usage = new UsageMeter();
     const aiStart = Date.now();
-    const response = await getAIAssistant().chat(
-      message,
-      conversationHistory,
-      currentSessionId,
-      userInfo,
-      user?._id,
-      userContext
-    );
+    let response;
+
+    if (budget.level === 'exhausted') {
+      console.log(`💸 [CHAT] Spend budget exhausted (${Math.round(budget.used * 100)}%), serving canned reply`);
+      response = await budgetExhaustedResponse(req.tenant, message, currentSessionId, userInfo, user);
+    } else {
+      const preflightStart = Date.now();
+      const preflight = await runPreflight(req.tenant, message, currentSessionId, userInfo, user?._id, usage);
+      console.log(`⏱️ [CHAT] Pre-flight check (${preflight.mode}): ${Date.now() - preflightStart}ms`);
+
+      // Long sessions: older turns are condensed into a summary sent alongside the recent ones
+      const assistant = getAIAssistant(req.tenant);
+      const summary =
+        user && !preflight.redirect ? await assistant.refreshSessionSummary(currentSessionId, user._id, usage) : null;
+
+      // Get AI response with conversation history (skipped when the pre-flight check redirected)
+      response = preflight.redirect
+        ? redirectResponse(message, preflight.redirect)
+        : await assistant.chat(
+            message,
+            withoutSummarizedTurns(conversationHistory, summary),
+            currentSessionId,
+            userInfo,
+            user?._id,
+            userContext,
+            {
+              responseInstructions: economyInstructions(req.tenant, budget) || preflight.responseInstructions,
+              needsDetailedResponse: preflight.needsDetailedResponse,
+              economy: budget.level === 'reduced',
+              sessionSummary: summary?.summary,
+              usage,
+            }
+          );
+    }
     console.log(`⏱️ [CHAT] AI response generation: ${Date.now() - aiStart}ms`);
 
     // Extract tool outputs for logging
-    const toolOutputs = response.messages.filter(msg => msg.role === 'tool').map(msg => JSON.parse(msg.content));
+    const toolOutputs = getAIAssistant(req.tenant).getToolOutputs(response.messages);
 
     // Check if user details were updated in this response
     let updatedUserInfo = {
@@ -280,7 +486,7 @@ router.post('/chat', async (req, res) => {
     };
     // Check if any tool call updated user details
     const userDetailsUpdated = toolOutputs.some(
-      output => output.recorded === 'ok' && output.userId && !output.validationError
+      output => output.type === 'user_details' && output.data.recorded === 'ok' && output.data.userId
     );
 
     // Parallelize final operations
@@ -289,16 +495,22 @@ router.post('/chat', async (req, res) => {
     const promises = [
       // Always log the chat session
       logChatSession({
+        tenantId: req.tenant.id,
         sessionId: currentSessionId,
         userId: user?._id,
         userMessage: message,
         assistantMessage: response.content,
         toolOutputs,
+        route: response.route,
+        usage: usage.summary(),
         messageCount: counts.dailyCount,
       }),
 
       // Always get rate limit headers
-      rateLimiter.getRateLimitHeaders(currentSessionId, userInfo.ip),
+      rateLimiter.getRateLimitHeaders(currentSessionId, userInfo.ip, req.tenant),
+
+      // Count this turn against the site-wide spend budget
+      spendBudget.record(usage.summary()),
     ];
 
     // Add user update promise if needed
@@ -311,7 +523,7 @@ router.post('/chat', async (req, res) => {
 
       // Extract results
       const rateLimitHeaders = results[1];
-      const updatedUser = userDetailsUpdated && user?._id ? results[2] : null;
+      const updatedUser = userDetailsUpdated && user?._id ? results[3] : null;
 
       console.log(`⏱️ [CHAT] Parallel final operations: ${Date.now() - finalOpsStart}ms`);
 
@@ -339,22 +551,37 @@ router.post('/chat', async (req, res) => {
 
     res.json({
       message: response.content,
+      ...turnEnvelope(req.tenant, message, conversationHistory, response, toolOutputs),
       sessionId: currentSessionId,
-      sessionMessages: response.messages,
       userInfo: updatedUserInfo,
       rateLimits: {
         dailyCount: counts.dailyCount,
-        dailyLimit: rateLimiter.MAX_MESSAGES_PER_DAY,
-        dailyRemaining: Math.max(0, rateLimiter.MAX_MESSAGES_PER_DAY - counts.dailyCount),
+        dailyLimit,
+        dailyRemaining: Math.max(0, dailyLimit - counts.dailyCount),
       },
     });
+
+    announceTurn(req.tenant, {
+      sessionId: currentSessionId,
+      user,
+      message,
+      response,
+      toolOutputs,
+      usage,
+      streamed: false,
+    });
+    rescoreInBackground(user?._id);
   } catch (error) {
     console.error('Chat endpoint error:', error);
 
     // Different error responses based on error type
-    if (error.message.includes('OpenAI')) {
-      res.status(503).json({
-        error: 'AI service temporarily unavailable. Please try again in a moment.',
+    if (error instanceof LLMError) {
+      if (error.retryAfterMs) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+      }
+      res.status(error.statusCode).json({
+        error: llmErrorMessage(error),
+        code: error.code,
       });
     } else {
       res.status(500).json({
@@ -365,7 +592,7 @@ router.post('/chat', async (req, res) => {
 });
 
 // POST /api/chat/stream - Streaming chat endpoint (Server-Sent Events)
-router.post('/chat/stream', async (req, res) => {
+router.post('/chat/stream', requireTenant, async (req, res) => {
   const startTime = Date.now();
 
   // SSE headers
@@ -396,7 +623,8 @@ router.post('/chat/stream', async (req, res) => {
 
     const userInfo = getUserInfo(req);
 
-    const rateLimitResult = await rateLimiter.checkRateLimit(sessionId, userInfo.ip);
+    const dailyLimit = rateLimiter.getDailyLimit(req.tenant);
+    const rateLimitResult = await rateLimiter.checkRateLimit(sessionId, userInfo.ip, req.tenant);
     if (!rateLimitResult.allowed) {
       const minutes = Math.floor((rateLimitResult.dailyResetTime - Date.now()) / 60000);
       sendEvent({ type: 'error', message: `Daily limit reached. Try again in ${minutes} minutes.` });
@@ -404,64 +632,91 @@ router.post('/chat/stream', async (req, res) => {
     }
 
     let user = null;
-    let conversationHistory = [];
+    let conversationHistory = { current: [], prior: [] };
 
     if (userToken) {
       try {
         await database.waitForConnection();
-        user = await User.findByToken(userToken);
+        user = await User.findByToken(userToken, req.tenant.id);
 
         if (user) {
           const Chat = require('../models/Chat');
           const [historyChats] = await Promise.all([
-            Chat.getConversationHistory(user._id, sessionId, 10),
+            Chat.getConversationHistory(user._id, sessionId, req.tenant.id),
             user.updateSessionActivity(sessionId),
           ]);
-          conversationHistory = historyChats
-            .map(chat => [
-              { role: 'user', content: chat.userMessage },
-              { role: 'assistant', content: chat.assistantMessage },
-            ])
-            .flat();
+          conversationHistory = historyChats;
         }
       } catch (err) {
         console.error('DB error in stream endpoint:', err);
       }
     }
 
-    const userContext = user ? { name: user.name, email: user.email, notes: user.notes } : null;
-
-    const response = await getAIAssistant().chatStream(
-      message,
-      conversationHistory,
-      sessionId,
-      userInfo,
-      user?._id,
-      userContext,
-      chunk => sendEvent(chunk)
-    );
+    const userContext = user ? user.getAssistantContext(sessionId) : null;
+
+    const budget = await spendBudget.getStatus();
+    const usage = new UsageMeter();
+    const preflight =
+      budget.level === 'exhausted'
+        ? null
+        : await runPreflight(req.tenant, message, sessionId, userInfo, user?._id, usage);
+
+    let response;
+    if (!preflight) {
+      console.log(`💸 [STREAM] Spend budget exhausted (${Math.round(budget.used * 100)}%), serving canned reply`);
+      response = await budgetExhaustedResponse(req.tenant, message, sessionId, userInfo, user);
+      sendEvent({ type: 'content', text: response.content });
+    } else if (preflight.redirect) {
+      response = redirectResponse(message, preflight.redirect);
+      sendEvent({ type: 'content', text: preflight.redirect });
+    } else {
+      const assistant = getAIAssistant(req.tenant);
+      const summary = user ? await assistant.refreshSessionSummary(sessionId, user._id, usage) : null;
+      response = await assistant.chatStream(
+        message,
+        withoutSummarizedTurns(conversationHistory, summary),
+        sessionId,
+        userInfo,
+        user?._id,
+        userContext,
+        chunk => sendEvent(chunk),
+        {
+          responseInstructions: economyInstructions(req.tenant, budget) || preflight.responseInstructions,
+          needsDetailedResponse: preflight.needsDetailedResponse,
+          economy: budget.level === 'reduced',
+          sessionSummary: summary?.summary,
+          usage,
+        }
+      );
+    }
 
     // Log chat and get updated user in parallel
-    const toolOutputs = response.messages.filter(msg => msg.role === 'tool').map(msg => JSON.parse(msg.content));
+    const toolOutputs = getAIAssistant(req.tenant).getToolOutputs(response.messages);
     const { logChatSession } = require('../utils/logger');
 
-    const userDetailsUpdated = toolOutputs.some(o => o.recorded === 'ok' && o.userId && !o.validationError);
+    const userDetailsUpdated = toolOutputs.some(
+      o => o.type === 'user_details' && o.data.recorded === 'ok' && o.data.userId
+    );
     const promises = [
       logChatSession({
+        tenantId: req.tenant.id,
         sessionId,
         userId: user?._id,
         userMessage: message,
         assistantMessage: response.content,
         toolOutputs,
+        route: response.route,
+        usage: usage.summary(),
         messageCount: rateLimitResult.dailyCount,
       }),
+      spendBudget.record(usage.summary()),
     ];
     if (userDetailsUpdated && user?._id) {
       promises.push(User.findById(user._id));
     }
 
     const results = await Promise.all(promises);
-    const updatedUser = userDetailsUpdated && user?._id ? results[1] : null;
+    const updatedUser = userDetailsUpdated && user?._id ? results[2] : null;
 
     sendEvent({
       type: 'done',
@@ -469,41 +724,50 @@ router.post('/chat/stream', async (req, res) => {
         name: updatedUser?.name || user?.name || null,
         email: updatedUser?.email || user?.email || null,
       },
+      ...turnEnvelope(req.tenant, message, conversationHistory, response, toolOutputs),
       rateLimits: {
         dailyCount: rateLimitResult.dailyCount,
-        dailyLimit: rateLimiter.MAX_MESSAGES_PER_DAY,
-        dailyRemaining: Math.max(0, rateLimiter.MAX_MESSAGES_PER_DAY - rateLimitResult.dailyCount),
+        dailyLimit,
+        dailyRemaining: Math.max(0, dailyLimit - rateLimitResult.dailyCount),
       },
     });
 
+    announceTurn(req.tenant, { sessionId, user, message, response, toolOutputs, usage, streamed: true });
+    rescoreInBackground(user?._id);
+
     console.log(`🏁 [STREAM] Total: ${Date.now() - startTime}ms`);
   } catch (error) {
     console.error('Stream endpoint error:', error);
-    sendEvent({ type: 'error', message: 'Something went wrong. Please try again.' });
+    if (error instanceof LLMError) {
+      sendEvent({ type: 'error', message: llmErrorMessage(error), code: error.code });
+    } else {
+      sendEvent({ type: 'error', message: 'Something went wrong. Please try again.' });
+    }
   }
 
   res.end();
 });
 
 // GET /api/chat/status - Get session status and rate limits
-router.get('/chat/status', async (req, res) => {
+router.get('/chat/status', requireTenant, async (req, res) => {
   try {
     const { sessionId } = req.query;
     const userInfo = getUserInfo(req);
 
     if (!sessionId) {
+      const dailyLimit = rateLimiter.getDailyLimit(req.tenant);
       return res.json({
         sessionId: null,
         rateLimits: {
           dailyCount: 0,
-          dailyLimit: rateLimiter.MAX_MESSAGES_PER_DAY,
-          dailyRemaining: rateLimiter.MAX_MESSAGES_PER_DAY,
+          dailyLimit,
+          dailyRemaining: dailyLimit,
         },
       });
     }
 
-    const counts = await rateLimiter.getCounts(sessionId, userInfo.ip);
-    const rateLimitHeaders = await rateLimiter.getRateLimitHeaders(sessionId, userInfo.ip);
+    const counts = await rateLimiter.getCounts(sessionId, userInfo.ip, req.tenant);
+    const rateLimitHeaders = await rateLimiter.getRateLimitHeaders(sessionId, userInfo.ip, req.tenant);
 
     // Set rate limit headers
     Object.entries(rateLimitHeaders).forEach(([key, value]) => {
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const database = require('../models/database');
+const tenants = require('../lib/tenants');
+const { getPersona } = require('../lib/persona');
+const { getScheduler } = require('../lib/scheduler');
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GET /api/meetings/:id/invite.ics?token=TOKEN - Calendar invite for a requested meeting
+router.get('/:id/invite.ics', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    await database.waitForConnection();
+
+    const meeting = await Meeting.findById(req.params.id);
+    // Same answer for a wrong token as for a missing meeting
+    if (!meeting || !tokensMatch(req.query.token, meeting.inviteToken)) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const tenant = tenants.getById(meeting.tenantId) || tenants.getDefault();
+    const ownerName = getPersona(tenant?.personaFile).getName();
+    const invite = getScheduler(tenant?.availabilityFile).buildInvite(meeting, ownerName);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="meeting-${meeting._id}.ics"`);
+    res.send(invite);
+  } catch (error) {
+    console.error('Meeting invite endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
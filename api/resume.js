@@ -0,0 +1,63 @@
+const fs = require('fs');
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const database = require('../models/database');
+const tenants = require('../lib/tenants');
+const { tenantFilter } = require('../models/tenantScope');
+const { getPersona } = require('../lib/persona');
+const { verifyResumeToken, getResumeFile } = require('../lib/resumeLinks');
+
+// GET /api/resume/:token - Stream the resume PDF for a signed link from the share_resume tool
+router.get('/:token', async (req, res) => {
+  try {
+    const link = verifyResumeToken(req.params.token);
+    if (link.error === 'expired') {
+      return res.status(410).json({ error: 'This link has expired. Ask the assistant for a new one.' });
+    }
+    if (link.error || !mongoose.isValidObjectId(link.userId)) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const tenant = tenants.getById(link.tenantId);
+    const filePath = getResumeFile(tenant);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Resume not available' });
+    }
+
+    await database.waitForConnection();
+
+    const user = await User.findOne({ _id: link.userId, ...tenantFilter(tenant.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await user.recordResumeDownload({ linkId: link.linkId, ip: req.ip, userAgent: req.get('User-Agent') || '' });
+    console.log(`📄 Resume downloaded by ${user.name || user._id} (link ${link.linkId})`);
+
+    const ownerName = getPersona(tenant.personaFile).getName();
+    const fileName = `${ownerName} - Resume.pdf`.replace(/[^\w .-]/g, '');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    fs.createReadStream(filePath)
+      .on('error', error => {
+        console.error('❌ Error streaming resume:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Internal server error' });
+        } else {
+          res.destroy(error);
+        }
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Resume endpoint error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
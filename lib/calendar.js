@@ -0,0 +1,225 @@
+// Time zone and iCalendar helpers for meeting scheduling. Time zones are IANA names
+// ("Asia/Kolkata"); conversions go through Intl so no tz database is bundled.
+
+const ICS_PRODUCT_ID = '-//AI Assistant Backend//Meetings//EN';
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  })
+    .formatToParts(date)
+    .reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function timeZoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which the wall clock in `timeZone` reads the given date and time.
+// Re-checks the offset once so times next to a DST change land on the right side.
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = timeZoneOffset(new Date(guess), timeZone);
+  const adjusted = timeZoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - adjusted);
+}
+
+// "Tue, Oct 21, 3:30 PM GMT+5:30" style label in the given zone
+function formatInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(date);
+}
+
+// YYYY-MM-DD of `date` in the given zone
+function dateKeyInZone(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// "20261021T100000Z", "20261021T100000" (with TZID or floating) or "20261021" (all day)
+function parseIcsDate(value, params, defaultTimeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+
+  if (utc) {
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+  }
+  const tzid = params.find(p => p.startsWith('TZID='))?.slice(5);
+  return zonedTimeToDate(parts, isValidTimeZone(tzid) ? tzid : defaultTimeZone);
+}
+
+// Events of an .ics file as [{ start, end, summary }]. Recurrence rules are not expanded —
+// export the calendar with recurring events already instantiated.
+function parseIcs(text, defaultTimeZone = 'UTC') {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      if (current?.start && current.end && current.status !== 'CANCELLED') {
+        events.push({ start: current.start, end: current.end, summary: current.summary || '' });
+      }
+      current = null;
+    } else if (current) {
+      const separator = line.indexOf(':');
+      const [name, ...params] = line.slice(0, separator).split(';');
+      const value = line.slice(separator + 1);
+      if (name === 'DTSTART') {
+        current.start = parseIcsDate(value, params, defaultTimeZone);
+      } else if (name === 'DTEND') {
+        current.end = parseIcsDate(value, params, defaultTimeZone);
+      } else if (name === 'SUMMARY') {
+        current.summary = value;
+      } else if (name === 'STATUS') {
+        current.status = value.trim();
+      }
+    }
+  });
+
+  return events;
+}
+
+function formatIcsDate(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+// Parameter values (CN=...) are quoted instead of escaped
+function quoteIcsParam(text) {
+  return `"${String(text || '').replace(/["\r\n]/g, '')}"`;
+}
+
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldIcsLine(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) {
+      cut -= 1;
+    }
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n ');
+}
+
+// A single-event invite. status: TENTATIVE (awaiting the owner), CONFIRMED or CANCELLED;
+// bump `sequence` on every change so calendar apps replace the earlier copy.
+function buildIcsInvite({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  status,
+  sequence = 0,
+  organizer,
+  attendee,
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    `STATUS:${status}`,
+    ...(organizer?.email ? [`ORGANIZER;CN=${quoteIcsParam(organizer.name)}:mailto:${organizer.email}`] : []),
+    ...(attendee?.email
+      ? [`ATTENDEE;CN=${quoteIcsParam(attendee.name || attendee.email)};RSVP=TRUE:mailto:${attendee.email}`]
+      : []),
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  formatInZone,
+  dateKeyInZone,
+  parseIcs,
+  buildIcsInvite,
+};
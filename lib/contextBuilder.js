@@ -0,0 +1,85 @@
+// Token-budgeted conversation history. The fixed parts of the prompt (system prompt, retrieved
+// passages, visitor context, summary) and the new message are counted first; history fills what
+// is left, newest turn first, so the prompt never grows past CONTEXT_TOKEN_BUDGET.
+
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 6000;
+// Turns from the visitor's earlier sessions may use at most this share of the history budget
+const PRIOR_SESSION_SHARE = 0.3;
+// Per-message framing tokens (role, separators) added by chat APIs
+const MESSAGE_OVERHEAD = 4;
+
+// About 4 characters per token for English text — close enough for budgeting without a tokenizer
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messageTokens(messages) {
+  return messages.reduce((sum, m) => sum + MESSAGE_OVERHEAD + estimateTokens(m.content), 0);
+}
+
+function turnTokens(chat) {
+  return 2 * MESSAGE_OVERHEAD + estimateTokens(chat.userMessage) + estimateTokens(chat.assistantMessage);
+}
+
+// Keep the newest turns that fit in `budget`; returns them in chronological order
+function fitTurns(turns, budget) {
+  const kept = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = turnTokens(turns[i]);
+    if (used + cost > budget) {
+      break;
+    }
+    kept.unshift(turns[i]);
+    used += cost;
+  }
+  return { kept, used };
+}
+
+// Earlier sessions are context about the visitor, not part of this thread, so they go in a
+// system note instead of being replayed as messages
+function priorSessionsPrompt(turns) {
+  return `## Earlier conversations with this visitor
+From previous visits, oldest first. Don't pick these threads back up unless the visitor does.
+
+${turns.map(chat => `Visitor: ${chat.userMessage}\nYou: ${chat.assistantMessage}`).join('\n\n')}`;
+}
+
+// history: { current, prior } Chat documents in chronological order.
+// Returns the history messages to place between the fixed prompt and the new message.
+function buildHistory(fixedMessages, message, history = {}, budget = CONTEXT_TOKEN_BUDGET) {
+  const fixedTokens = messageTokens(fixedMessages) + messageTokens([{ content: message }]);
+  const available = Math.max(0, budget - fixedTokens);
+
+  // The current session comes first; earlier sessions get what's left, up to their share
+  const current = fitTurns(history.current || [], available);
+  const priorBudget = Math.min(available - current.used, Math.floor(available * PRIOR_SESSION_SHARE));
+  const prior = fitTurns(history.prior || [], priorBudget - estimateTokens(priorSessionsPrompt([])));
+
+  const messages = [
+    ...(prior.kept.length ? [{ role: 'system', content: priorSessionsPrompt(prior.kept) }] : []),
+    ...current.kept
+      .map(chat => [
+        { role: 'user', content: chat.userMessage },
+        { role: 'assistant', content: chat.assistantMessage },
+      ])
+      .flat(),
+  ];
+
+  const stats = {
+    budget,
+    fixedTokens,
+    historyTokens: messageTokens(messages),
+    currentTurns: current.kept.length,
+    currentDropped: (history.current || []).length - current.kept.length,
+    priorTurns: prior.kept.length,
+  };
+
+  return { messages, stats };
+}
+
+module.exports = {
+  buildHistory,
+  estimateTokens,
+  CONTEXT_TOKEN_BUDGET,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EMAIL_DOMAINS_FILE = path.join(__dirname, '..', 'config', 'email-domains.json');
+
+// Top-level domains as they usually get mistyped; none of these is a real TLD (unlike "cm" or "om")
+const TLD_TYPOS = {
+  con: 'com',
+  cmo: 'com',
+  cim: 'com',
+  comm: 'com',
+  cpm: 'com',
+  ocm: 'com',
+  vom: 'com',
+  xom: 'com',
+  nte: 'net',
+  nett: 'net',
+  ogr: 'org',
+  orgg: 'org',
+};
+const GENERIC_TLDS = ['com', 'net', 'org'];
+// What follows a provider's name on its regional domains: "hotmail.it", "yahoo.co.id", "yahoo.com.br"
+const REGIONAL_SUFFIX = /^(com|net|[a-z]{2}|co\.[a-z]{2}|com\.[a-z]{2})$/;
+
+let domainLists = null;
+
+// Free providers (domains, plus names whose regional domains are free too), disposable services
+// and role mailbox names from EMAIL_DOMAINS_FILE (default config/email-domains.json)
+function getDomainLists() {
+  if (!domainLists) {
+    const filePath = process.env.EMAIL_DOMAINS_FILE || DEFAULT_EMAIL_DOMAINS_FILE;
+    let raw = {};
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Could not load email domains from ${filePath}, email checks are off:`, error.message);
+    }
+    const lower = list => (Array.isArray(list) ? list.map(item => String(item).trim().toLowerCase()) : []);
+    domainLists = {
+      free: lower(raw.free),
+      freeProviderNames: new Set(lower(raw.freeProviderNames)),
+      disposable: new Set(lower(raw.disposable)),
+      roleLocalParts: new Set(lower(raw.roleLocalParts)),
+    };
+  }
+  return domainLists;
+}
+
+// Edit distance where swapping two neighbouring letters counts as one edit ("gmial" → "gmail")
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function isDisposable(domain) {
+  const { disposable } = getDomainLists();
+  // Subdomains of a disposable service are just as disposable
+  return domain.split('.').some((_, i, labels) => disposable.has(labels.slice(i).join('.')));
+}
+
+function isFree(domain) {
+  const { free, freeProviderNames } = getDomainLists();
+  const [name, ...rest] = domain.split('.');
+  return free.includes(domain) || (freeProviderNames.has(name) && REGIONAL_SUFFIX.test(rest.join('.')));
+}
+
+// The domain the visitor most likely meant, or null when it looks fine. Compares the part before
+// the first dot against popular providers and fixes mistyped TLDs, so "gmial.com", "gmail.con"
+// and "acme.cmo" get a suggestion while "hotmail.it" or "acme.co" don't.
+function suggestDomain(domain) {
+  // Only exact listed domains are safe; "gmail.co" looks regional but is a classic typo
+  if (getDomainLists().free.includes(domain) || isDisposable(domain)) {
+    return null;
+  }
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  const fixed = [...labels.slice(0, -1), TLD_TYPOS[tld] || tld].join('.');
+  const [name, ...rest] = labels;
+  const suffix = rest.join('.');
+  const fixedSuffix = fixed.split('.').slice(1).join('.');
+
+  let best = null;
+  for (const provider of getDomainLists().free) {
+    const [providerName, ...providerRest] = provider.split('.');
+    const providerSuffix = providerRest.join('.');
+    // Too short to tell a typo from another real domain ("me.com", "qq.com")
+    if (providerName.length < 4) {
+      continue;
+    }
+    let suffixDistance;
+    if (fixedSuffix === providerSuffix) {
+      suffixDistance = 0;
+    } else if (!suffix.includes('.') && GENERIC_TLDS.includes(providerSuffix)) {
+      suffixDistance = editDistance(suffix, providerSuffix);
+    } else {
+      // Country suffixes like "hotmail.it" or "yahoo.co.id" are real domains, not typos of
+      // another country's
+      continue;
+    }
+    const distance = editDistance(name, providerName) + suffixDistance;
+    const allowed = providerName.length >= 7 ? 2 : 1;
+    if (distance <= allowed && (!best || distance < best.distance)) {
+      best = { domain: provider, distance };
+    }
+  }
+
+  if (best) {
+    return best.domain;
+  }
+  return fixed !== domain ? fixed : null;
+}
+
+// Offline read on an address that already passed the format check:
+// { domain, kind: 'free' | 'corporate' | 'disposable', roleAddress, suggestion }.
+// `suggestion` is the corrected address when the domain looks mistyped; `kind` then describes
+// the suggested domain, since that's the one the visitor most likely has.
+function checkEmail(email) {
+  const address = String(email || '')
+    .trim()
+    .toLowerCase();
+  const at = address.lastIndexOf('@');
+  const localPart = address.slice(0, at);
+  const domain = address.slice(at + 1);
+
+  const suggestedDomain = suggestDomain(domain);
+  const effectiveDomain = suggestedDomain || domain;
+  let kind = 'corporate';
+  if (isDisposable(effectiveDomain)) {
+    kind = 'disposable';
+  } else if (isFree(effectiveDomain)) {
+    kind = 'free';
+  }
+
+  // "jobs@", "hr-team@", "careers.emea@", ignoring any "+tag"
+  const { roleLocalParts } = getDomainLists();
+  const mailbox = localPart.split('+')[0];
+  const roleAddress = roleLocalParts.has(mailbox) || roleLocalParts.has(mailbox.split(/[._-]/)[0]);
+
+  return {
+    domain,
+    kind,
+    roleAddress,
+    suggestion: suggestedDomain ? `${localPart}@${suggestedDomain}` : null,
+  };
+}
+
+// One line for the owner, e.g. "corporate, role address" or "free provider, maybe a@gmail.com"
+function describeEmail({ kind, roleAddress, suggestion }) {
+  return [
+    kind === 'free' ? 'free provider' : kind,
+    roleAddress ? 'role address' : null,
+    suggestion ? `maybe ${suggestion}` : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+module.exports = {
+  checkEmail,
+  describeEmail,
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { instancePerPath } = require('../utils/configFile');
+
+const DEFAULT_KNOWLEDGE_DIR = path.join(__dirname, '..', 'knowledge');
+const MAX_CHUNK_WORDS = 180;
+
+// BM25 tuning — the usual defaults work well for short markdown passages
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can did do does for from had has have how i if in into is it its me my of on or ' +
+    'our so than that the their them then there these they this to was we were what when where which who why will ' +
+    'with would you your about tell know'
+  ).split(' ')
+);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9+#]+(?:\.[a-z0-9]+)*/g) || [])
+    .filter(token => !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Split a markdown document into passages: one section per heading, long sections split on
+// paragraph boundaries. Each passage keeps its heading trail so it reads on its own.
+function chunkMarkdown(text, source) {
+  const chunks = [];
+  const headings = [];
+  let buffer = [];
+
+  const flush = () => {
+    const body = buffer.join('\n').trim();
+    buffer = [];
+    if (!body) {
+      return;
+    }
+
+    const paragraphs = body.split(/\n\s*\n/);
+    let current = [];
+    let words = 0;
+
+    const emit = () => {
+      if (current.length) {
+        chunks.push({ source, heading: headings.filter(Boolean).join(' › '), text: current.join('\n\n') });
+      }
+      current = [];
+      words = 0;
+    };
+
+    paragraphs.forEach(paragraph => {
+      const count = paragraph.split(/\s+/).length;
+      if (words + count > MAX_CHUNK_WORDS) {
+        emit();
+      }
+      current.push(paragraph.trim());
+      words += count;
+    });
+    emit();
+  };
+
+  text.split('\n').forEach(line => {
+    const match = line.match(/^(#{1,6})\s+(.*)$/);
+    if (match) {
+      flush();
+      const level = match[1].length;
+      headings.length = level;
+      headings[level - 1] = match[2].trim();
+    } else {
+      buffer.push(line);
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+function listMarkdownFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listMarkdownFiles(fullPath);
+    }
+    return entry.isFile() && entry.name.toLowerCase().endsWith('.md') ? [fullPath] : [];
+  });
+}
+
+class KnowledgeBase {
+  constructor(dir = DEFAULT_KNOWLEDGE_DIR) {
+    this.dir = path.resolve(dir);
+    this.signature = null;
+    this.chunks = [];
+    this.docFreq = new Map();
+    this.avgLength = 0;
+  }
+
+  // Fingerprint of the directory contents so edits are picked up without a restart
+  computeSignature(files) {
+    return files.map(file => `${file}:${fs.statSync(file).mtimeMs}`).join('|');
+  }
+
+  // Read every markdown file under the directory and rebuild the BM25 index
+  load() {
+    const files = listMarkdownFiles(this.dir);
+    const chunks = files.flatMap(file =>
+      chunkMarkdown(fs.readFileSync(file, 'utf8'), path.relative(this.dir, file).split(path.sep).join('/'))
+    );
+
+    const docFreq = new Map();
+    chunks.forEach(chunk => {
+      const terms = tokenize(`${chunk.heading}\n${chunk.text}`);
+      chunk.length = terms.length;
+      chunk.termFreq = terms.reduce((freq, term) => freq.set(term, (freq.get(term) || 0) + 1), new Map());
+      chunk.termFreq.forEach((count, term) => docFreq.set(term, (docFreq.get(term) || 0) + 1));
+    });
+
+    this.chunks = chunks;
+    this.docFreq = docFreq;
+    this.avgLength = chunks.length ? chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length : 0;
+    this.signature = this.computeSignature(files);
+
+    console.log(`📚 Knowledge base indexed ${chunks.length} passages from ${files.length} files in ${this.dir}`);
+    return this;
+  }
+
+  ensureFresh() {
+    try {
+      const signature = this.computeSignature(listMarkdownFiles(this.dir));
+      if (signature !== this.signature) {
+        this.load();
+      }
+    } catch (error) {
+      console.error('❌ Knowledge base refresh failed, keeping previous index:', error.message);
+    }
+  }
+
+  // Return the top passages for a query, best first
+  search(query, { limit = 3, minScore = 0.5 } = {}) {
+    this.ensureFresh();
+
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length || !this.chunks.length) {
+      return [];
+    }
+
+    const total = this.chunks.length;
+
+    return this.chunks
+      .map(chunk => {
+        const score = terms.reduce((sum, term) => {
+          const tf = chunk.termFreq.get(term);
+          if (!tf) {
+            return sum;
+          }
+          const df = this.docFreq.get(term);
+          const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+          return sum + (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * chunk.length) / (this.avgLength || 1)));
+        }, 0);
+        return { source: chunk.source, heading: chunk.heading, text: chunk.text, score };
+      })
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  getStats() {
+    this.ensureFresh();
+    return {
+      dir: this.dir,
+      passages: this.chunks.length,
+      sources: [...new Set(this.chunks.map(chunk => chunk.source))],
+      vocabulary: this.docFreq.size,
+    };
+  }
+}
+
+// One index per knowledge directory, shared across requests
+const knowledgeBases = instancePerPath(dir => new KnowledgeBase(dir));
+
+function getKnowledgeBase(dir = process.env.KNOWLEDGE_DIR || DEFAULT_KNOWLEDGE_DIR) {
+  return knowledgeBases(dir);
+}
+
+module.exports = {
+  getKnowledgeBase,
+  chunkMarkdown,
+  tokenize,
+};
@@ -0,0 +1,215 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const ToolCall = require('../models/ToolCall');
+const database = require('../models/database');
+const { tenantFilter } = require('../models/tenantScope');
+const { checkEmail } = require('./emailQuality');
+
+const MAX_SCORE = 100;
+// Messages beyond this add nothing more to the score
+const MESSAGE_VOLUME_CAP = 20;
+const MESSAGE_VOLUME_POINTS = 15;
+
+// Points per signal; a lead's score is their sum, capped at MAX_SCORE
+const SIGNAL_POINTS = {
+  email: 20,
+  corporate_email: 10,
+  disposable_email: 5,
+  name: 5,
+  company: 15,
+  role: 15,
+  returning: 5,
+  meeting_requested: 20,
+  meeting_slots_viewed: 10,
+  resume_requested: 10,
+  resume_downloaded: 10,
+  projects_explored: 5,
+  opportunity_shared: 20,
+  looking_for: 10,
+  intent_in_notes: 10,
+};
+
+// Roles worth the owner's attention when a visitor mentions them in notes
+const ROLE_PATTERN =
+  /\b(recruiter|recruiting|talent|hiring manager|hr|head of \w+|vp|vice president|director|cto|ceo|founder|co-?founder|engineering manager|team lead|tech lead)\b/i;
+// Wording that suggests an opportunity rather than curiosity
+const INTENT_PATTERN =
+  /\b(hiring|hire|opening|vacanc(y|ies)|position|opportunit(y|ies)|contract|freelance|consult(ing|ancy)?|interview|job)\b/i;
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Score a visitor from what they told us and what they did. `toolCalls` are their successful
+// ToolCall records ({ type }). Returns { score, signals: [{ signal, points, detail }] }.
+function scoreLead(user, toolCalls = []) {
+  const signals = [];
+  const add = (signal, detail = undefined, points = SIGNAL_POINTS[signal]) => {
+    if (points > 0) {
+      signals.push({ signal, points, ...(detail ? { detail } : {}) });
+    }
+  };
+  const fact = kind => user.facts.find(f => f.kind === kind)?.value;
+  const notes = user.notes || '';
+
+  // A throwaway inbox counts for little; a work address says who they are
+  const emailKind = user.emailQuality?.kind;
+  if (user.email && emailKind === 'disposable') {
+    add('disposable_email', user.email);
+  } else if (user.email) {
+    add('email', user.emailQuality?.roleAddress ? `${user.email} (role address)` : user.email);
+  }
+  if (user.email && emailKind === 'corporate') {
+    add('corporate_email', user.emailQuality.domain);
+  }
+  if (user.name) {
+    add('name', user.name);
+  }
+  if (fact('company')) {
+    add('company', fact('company'));
+  }
+
+  const roleInNotes = notes.match(ROLE_PATTERN)?.[0];
+  if (fact('role') || roleInNotes) {
+    add('role', fact('role') || roleInNotes);
+  }
+
+  const messages = Math.min(user.totalMessages || 0, MESSAGE_VOLUME_CAP);
+  add(
+    'message_volume',
+    plural(user.totalMessages || 0, 'message'),
+    Math.round((messages / MESSAGE_VOLUME_CAP) * MESSAGE_VOLUME_POINTS)
+  );
+  if (user.sessions.filter(s => s.messageCount > 0).length > 1) {
+    add('returning');
+  }
+
+  // Intent: things a casual visitor rarely does
+  const used = new Set(toolCalls.map(call => call.type));
+  if (used.has('meeting_request')) {
+    add('meeting_requested');
+  } else if (used.has('meeting_proposal')) {
+    add('meeting_slots_viewed');
+  }
+  if (user.resumeDownloads.length > 0) {
+    add('resume_downloaded', plural(user.resumeDownloads.length, 'download'));
+  } else if (used.has('resume_share')) {
+    add('resume_requested');
+  }
+  if (used.has('opportunity')) {
+    add('opportunity_shared');
+  }
+  if (used.has('project_search')) {
+    add('projects_explored');
+  }
+  if (fact('looking_for')) {
+    add('looking_for', fact('looking_for'));
+  }
+  const intentInNotes = notes.match(INTENT_PATTERN)?.[0];
+  if (intentInNotes) {
+    add('intent_in_notes', intentInNotes);
+  }
+
+  const score = Math.min(
+    MAX_SCORE,
+    signals.reduce((sum, s) => sum + s.points, 0)
+  );
+  return { score, signals };
+}
+
+// Recompute and store a visitor's score and email check from their current record and tool history
+async function refreshLeadScore(user) {
+  const toolCalls = await ToolCall.find({ userId: user._id, 'result.status': 'success' }).select('type').lean();
+  // Re-check the email too, so visitors from before the check existed get tagged
+  if (user.email) {
+    user.setEmailQuality(checkEmail(user.email));
+  }
+  const { score, signals } = scoreLead(user, toolCalls);
+
+  user.lead.score = score;
+  user.lead.signals = signals;
+  user.lead.scoredAt = new Date();
+  await user.save();
+  return user;
+}
+
+// Fire-and-forget rescore after a chat turn, so scoring never holds up a reply
+function rescoreInBackground(userId) {
+  if (!userId || !database.isConnectionReady()) {
+    return;
+  }
+  setImmediate(() => {
+    User.findById(userId)
+      .then(user => user && refreshLeadScore(user))
+      .catch(error => console.error('❌ Error scoring lead:', error));
+  });
+}
+
+function toolSummary(call) {
+  const { data = {} } = call;
+  if (call.type === 'user_details') {
+    return [data.name, data.email, data.notes].filter(Boolean).join(' · ');
+  }
+  if (call.type === 'opportunity') {
+    return data.notes || null;
+  }
+  if (call.type === 'remember_fact') {
+    return `${data.factKind}: ${data.factValue}`;
+  }
+  return data.question || data.toolName || call.result?.message || null;
+}
+
+// Everything the visitor did, newest first: sessions, messages, tool calls, resume downloads
+// and the owner's stage changes
+async function buildTimeline(user, { tenantId, limit = 100 } = {}) {
+  const scope = { userId: user._id, ...tenantFilter(tenantId) };
+  const [chats, toolCalls] = await Promise.all([
+    Chat.find(scope)
+      .select('sessionId userMessage assistantMessage timestamp')
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean(),
+    ToolCall.find(scope).select('type data result sessionId timestamp').sort({ timestamp: -1 }).limit(limit).lean(),
+  ]);
+
+  const entries = [
+    ...user.sessions.map(session => ({ type: 'session_started', at: session.timestamp, sessionId: session.sessionId })),
+    ...chats.map(chat => ({
+      type: 'message',
+      at: chat.timestamp,
+      sessionId: chat.sessionId,
+      userMessage: chat.userMessage,
+      assistantMessage: chat.assistantMessage,
+    })),
+    ...toolCalls.map(call => ({
+      type: 'tool',
+      at: call.timestamp,
+      sessionId: call.sessionId,
+      tool: call.type,
+      status: call.result?.status,
+      summary: toolSummary(call),
+    })),
+    ...user.resumeDownloads.map(download => ({
+      type: 'resume_download',
+      at: download.downloadedAt,
+      linkId: download.linkId,
+    })),
+    ...user.lead.stageHistory.map(change => ({
+      type: 'stage_changed',
+      at: change.changedAt,
+      stage: change.stage,
+      from: change.from,
+      note: change.note,
+    })),
+  ];
+
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, limit);
+}
+
+module.exports = {
+  scoreLead,
+  refreshLeadScore,
+  rescoreInBackground,
+  buildTimeline,
+  SIGNAL_POINTS,
+};
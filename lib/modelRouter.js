@@ -0,0 +1,107 @@
+// Per-turn model routing: pick model, max_tokens and temperature from how much the turn needs.
+//
+//   quick    — greetings, thanks, short factual questions (or, without a pre-flight verdict, short
+//              small talk) → fast model, short replies
+//   standard — anything likely to call a tool, or unclassified → main model
+//   detailed — DETAILED verdict from the pre-flight check or a long message → main model, long replies
+
+// Messages at least this long are treated as needing a detailed answer
+const LONG_MESSAGE_CHARS = 300;
+// Messages at most this long may use the quick route
+const QUICK_MESSAGE_CHARS = 120;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const INTRO_PATTERN = /\b(i'?m|i am|my name|call me)\b/i;
+// Acknowledgements that look like a bare name reply but aren't
+const SMALL_TALK = new Set('ok okay sure thanks thank thx cool nice great yes no hi hello hey alright bye'.split(' '));
+// Without a pre-flight verdict, messages this short that open with small talk use the quick route
+const SMALL_TALK_CHARS = 40;
+const SMALL_TALK_PATTERN =
+  /^(hi|hello|hey|yo|thanks|thank you|thx|ok|okay|sure|cool|nice|great|awesome|perfect|got it|alright|bye|good (morning|afternoon|evening|night))\b/i;
+const CONTEXT_PATTERN =
+  /\b(i work|we work|working (at|on|for)|i lead|we'?re (building|hiring)|hiring|recruit\w*|my (company|team|startup|role))\b/i;
+
+function getRoutes(llmConfig) {
+  const routes = {
+    quick: { model: llmConfig.fastModel || llmConfig.model, maxTokens: 300, temperature: 0.6 },
+    standard: { model: llmConfig.model, maxTokens: 800, temperature: 0.7 },
+    detailed: { model: llmConfig.model, maxTokens: 1200, temperature: 0.7 },
+  };
+
+  // MODEL_ROUTES='{"quick":{"maxTokens":200},"detailed":{"model":"gpt-4.1"}}' tunes individual routes
+  if (process.env.MODEL_ROUTES) {
+    try {
+      const overrides = JSON.parse(process.env.MODEL_ROUTES);
+      Object.keys(overrides).forEach(name => {
+        if (routes[name]) {
+          routes[name] = { ...routes[name], ...overrides[name] };
+        }
+      });
+    } catch (error) {
+      console.error('❌ Ignoring invalid MODEL_ROUTES:', error.message);
+    }
+  }
+
+  return routes;
+}
+
+// Whether the visitor is likely sharing details that record_user_details should capture
+function isToolLikely(message, userContext = null) {
+  if (EMAIL_PATTERN.test(message) || INTRO_PATTERN.test(message) || CONTEXT_PATTERN.test(message)) {
+    return true;
+  }
+
+  // A bare one- or two-word reply while we still don't know their name is usually the name
+  const words = message.trim().split(/\s+/);
+  const first = words[0].toLowerCase().replace(/[^a-z.'-]/g, '');
+  return !userContext?.name && words.length <= 2 && /^[a-z][a-z.'-]*$/.test(first) && !SMALL_TALK.has(first);
+}
+
+// needsDetailedResponse comes from the pre-flight check and is undefined when it didn't run
+function chooseRoute(message, llmConfig, { needsDetailedResponse, userContext, economy = false } = {}) {
+  const routes = getRoutes(llmConfig);
+  const toolLikely = isToolLikely(message, userContext);
+  const reasons = [];
+
+  let name = 'standard';
+
+  if (process.env.MODEL_ROUTING === 'off') {
+    reasons.push('routing disabled');
+  } else if (needsDetailedResponse || message.length >= LONG_MESSAGE_CHARS) {
+    name = 'detailed';
+    reasons.push(needsDetailedResponse ? 'classified DETAILED' : 'long message');
+  } else if (toolLikely) {
+    // Tool calling is more reliable on the main model
+    reasons.push('tool likely');
+  } else if (needsDetailedResponse === false && message.length <= QUICK_MESSAGE_CHARS) {
+    name = 'quick';
+    reasons.push('classified SHORT', 'short message');
+  } else if (
+    needsDetailedResponse === undefined &&
+    message.trim().length <= SMALL_TALK_CHARS &&
+    SMALL_TALK_PATTERN.test(message.trim())
+  ) {
+    // The pre-flight check is off by default, so small talk is recognised without it
+    name = 'quick';
+    reasons.push('small talk');
+  } else {
+    reasons.push(needsDetailedResponse === undefined ? 'not classified' : 'medium message');
+  }
+
+  const route = { name, ...routes[name], reasons };
+
+  // Spend budget nearly used: cheaper model and shorter replies on every route
+  if (economy) {
+    route.model = routes.quick.model;
+    route.maxTokens = Math.min(route.maxTokens, routes.quick.maxTokens);
+    reasons.push('budget economy');
+  }
+
+  return route;
+}
+
+module.exports = {
+  chooseRoute,
+  getRoutes,
+  isToolLikely,
+};
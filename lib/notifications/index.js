@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Notification = require('../../models/Notification');
+const { NOTIFICATION_EVENTS } = require('../../models/Notification');
+const database = require('../../models/database');
+const tenants = require('../tenants');
+const { loadJsonConfig, instancePerPath } = require('../../utils/configFile');
+const { isValidTimeZone, zonedParts } = require('../calendar');
+const { SmtpChannel } = require('./smtp');
+const { WebhookChannel, SlackChannel } = require('./webhook');
+
+const DEFAULT_NOTIFICATIONS_FILE = path.join(__dirname, '..', '..', 'config', 'notifications.json');
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_DEDUPE_MINUTES = 360;
+// Deferred notifications sent per flush, so a long night's backlog can't hold one pass forever
+const FLUSH_BATCH_SIZE = 20;
+
+// type → channel class and the settings it can't work without
+const CHANNEL_TYPES = {
+  smtp: { Channel: SmtpChannel, required: ['host', 'from', 'to'] },
+  webhook: { Channel: WebhookChannel, required: ['url'] },
+  slack: { Channel: SlackChannel, required: ['url'] },
+};
+
+function getTimeoutMs() {
+  return parseInt(process.env.NOTIFY_TIMEOUT_MS) || 10000;
+}
+
+// Short fingerprint of what an alert is about; the same question asked twice gives the same key
+function contentKeyOf(dedupeKey) {
+  if (!dedupeKey) {
+    return null;
+  }
+  const normalized = String(dedupeKey).trim().toLowerCase().replace(/\s+/g, ' ');
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+function validateNotifications(config) {
+  const errors = [];
+  const channels = config.channels || {};
+
+  if (typeof channels !== 'object' || Array.isArray(channels)) {
+    return ['channels must be an object of name → channel settings'];
+  }
+  Object.entries(channels).forEach(([name, channel]) => {
+    if (!CHANNEL_TYPES[channel?.type]) {
+      errors.push(`channels.${name}.type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+    }
+  });
+
+  if (!Array.isArray(config.rules)) {
+    errors.push('rules must be an array');
+  } else {
+    config.rules.forEach((rule, i) => {
+      if (!NOTIFICATION_EVENTS.includes(rule?.event) || rule.event === 'test') {
+        errors.push(`rules[${i}].event must be one of: ${NOTIFICATION_EVENTS.filter(e => e !== 'test').join(', ')}`);
+      }
+      if (!Array.isArray(rule?.channels) || rule.channels.length === 0) {
+        errors.push(`rules[${i}].channels must be a non-empty array of channel names`);
+      } else {
+        rule.channels
+          .filter(name => !channels[name])
+          .forEach(name => errors.push(`rules[${i}] uses unknown channel "${name}"`));
+      }
+      if (rule?.match !== undefined) {
+        try {
+          new RegExp(rule.match, 'i');
+        } catch {
+          errors.push(`rules[${i}].match is not a valid regular expression`);
+        }
+      }
+    });
+  }
+
+  if (config.quietHours !== undefined) {
+    if (!HOURS_PATTERN.test(config.quietHours)) {
+      errors.push('quietHours must be a "HH:MM-HH:MM" range');
+    }
+    if (!isValidTimeZone(config.timezone)) {
+      errors.push('timezone must be an IANA time zone when quietHours is set');
+    }
+  }
+  if (config.dedupeMinutes !== undefined && (!Number.isInteger(config.dedupeMinutes) || config.dedupeMinutes < 0)) {
+    errors.push('dedupeMinutes must be a non-negative integer');
+  }
+
+  return errors;
+}
+
+// Alerts the owner about what happens in chats, through the channels and rules of a
+// notifications file. No file means notifications are off.
+class Notifier {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.config = null;
+    this.channels = null;
+    // Fallback deduplication while the database is unavailable
+    this.recent = new Map();
+  }
+
+  // Reload when the file changes; a broken edit throws so the caller logs it
+  getConfig() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const config = loadJsonConfig(this.filePath, {
+      label: 'notifications file',
+      validate: validateNotifications,
+      defaults: { dedupeMinutes: DEFAULT_DEDUPE_MINUTES },
+    });
+    // Channels are rebuilt only when the file has actually changed
+    if (config !== this.config) {
+      this.channels = this.buildChannels(config.channels || {});
+      this.config = config;
+    }
+    return this.config;
+  }
+
+  // Channels whose settings come from unset environment variables are skipped, not fatal
+  buildChannels(settings) {
+    return Object.entries(settings).reduce((acc, [name, channel]) => {
+      const { Channel, required } = CHANNEL_TYPES[channel.type];
+      const missing = required.filter(field => !channel[field] || channel[field].length === 0);
+      if (missing.length > 0) {
+        console.warn(`⚠️ Notification channel "${name}" is missing ${missing.join(', ')}, skipped`);
+      } else {
+        acc[name] = new Channel(channel, { timeoutMs: getTimeoutMs() });
+      }
+      return acc;
+    }, {});
+  }
+
+  isQuietTime(config, now = new Date()) {
+    if (!config.quietHours) {
+      return false;
+    }
+    const [, fromHour, fromMinute, toHour, toMinute] = HOURS_PATTERN.exec(config.quietHours);
+    const { hour, minute } = zonedParts(now, config.timezone);
+    const current = hour * 60 + minute;
+    const from = Number(fromHour) * 60 + Number(fromMinute);
+    const to = Number(toHour) * 60 + Number(toMinute);
+    // "22:00-08:00" wraps past midnight
+    return from <= to ? current >= from && current < to : current >= from || current < to;
+  }
+
+  // When the current quiet hours end
+  quietUntil(config, now = new Date()) {
+    const [, , , toHour, toMinute] = HOURS_PATTERN.exec(config.quietHours);
+    const { hour, minute } = zonedParts(now, config.timezone);
+    const minutesLeft = (Number(toHour) * 60 + Number(toMinute) - (hour * 60 + minute) + 24 * 60) % (24 * 60);
+    const end = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+    return end;
+  }
+
+  async isDuplicate(config, { tenantId, event, visitorKey, contentKey }) {
+    if (!config.dedupeMinutes || !visitorKey) {
+      return false;
+    }
+    const since = new Date(Date.now() - config.dedupeMinutes * 60 * 1000);
+    if (this.recent.get(`${tenantId}:${event}:${visitorKey}:${contentKey || ''}`) >= since.getTime()) {
+      return true;
+    }
+    return database.isConnectionReady()
+      ? await Notification.wasSentSince(tenantId, event, visitorKey, contentKey, since)
+      : false;
+  }
+
+  deliver(channelNames, notification) {
+    return Promise.all(
+      channelNames.map(name => {
+        const channel = this.channels[name];
+        if (!channel) {
+          return { channel: name, status: 'failed', error: 'Channel is not configured' };
+        }
+        return channel.send(notification).then(
+          () => ({ channel: name, status: 'sent' }),
+          error => ({ channel: name, status: 'failed', error: error.message })
+        );
+      })
+    );
+  }
+
+  async record(entry) {
+    if (!database.isConnectionReady()) {
+      return;
+    }
+    try {
+      await Notification.create(entry);
+    } catch (error) {
+      console.error('❌ Error recording notification:', error);
+    }
+  }
+
+  // Send through the channels and sum up the outcome; `entry` is what gets recorded with it
+  async send(entry, channelNames) {
+    const { event, tenantId, visitorKey, contentKey, title, text, fields } = entry;
+    const notification = { event, tenantId, title, text, fields, timestamp: new Date().toISOString() };
+    const deliveries = await this.deliver(channelNames, notification);
+
+    const sent = deliveries.filter(d => d.status === 'sent').length;
+    const status = sent === deliveries.length ? 'sent' : sent > 0 ? 'partial' : 'failed';
+    if (sent > 0 && visitorKey) {
+      this.recent.set(`${tenantId}:${event}:${visitorKey}:${contentKey || ''}`, Date.now());
+    }
+    deliveries
+      .filter(d => d.status === 'failed')
+      .forEach(d => console.error(`❌ Notification "${event}" via ${d.channel} failed: ${d.error}`));
+    console.log(`🔔 Notified "${event}" via ${channelNames.join(', ')}: ${status}`);
+    return { status, deliveries };
+  }
+
+  // Notify the owner about `event` if a rule asks for it. details: { tenantId, userId, sessionId,
+  // title, text, fields: [{ label, value }], dedupeKey }; `dedupeKey` (the question, the meeting id)
+  // tells a new alert from a repeat of one already sent to this visitor. Alerts during quiet hours
+  // are held and sent when they end. Resolves to the outcome; never throws for a failing channel.
+  async notify(event, { tenantId, userId = null, sessionId = null, title, text = '', fields = [], dedupeKey = null }) {
+    const config = this.getConfig();
+    if (!config) {
+      return { status: 'disabled' };
+    }
+
+    const rules = config.rules.filter(
+      rule => rule.event === event && (!rule.match || new RegExp(rule.match, 'i').test(text))
+    );
+    if (rules.length === 0) {
+      return { status: 'no_rule' };
+    }
+
+    const visitorKey = userId ? String(userId) : sessionId;
+    const contentKey = contentKeyOf(dedupeKey);
+    const entry = { tenantId, event, visitorKey, contentKey, userId, sessionId, title, text, fields };
+
+    if (await this.isDuplicate(config, { tenantId, event, visitorKey, contentKey })) {
+      await this.record({ ...entry, status: 'deduped' });
+      return { status: 'deduped' };
+    }
+
+    const channelNames = [...new Set(rules.flatMap(rule => rule.channels))];
+    // Held in the database until quiet hours end; without one it can't be held, so it goes out now
+    if (this.isQuietTime(config) && !rules.some(rule => rule.ignoreQuietHours) && database.isConnectionReady()) {
+      const sendAfter = this.quietUntil(config);
+      await this.record({ ...entry, status: 'deferred', channels: channelNames, sendAfter });
+      console.log(`🌙 Notification "${event}" deferred until ${sendAfter.toISOString()}`);
+      return { status: 'deferred', sendAfter };
+    }
+
+    const outcome = await this.send(entry, channelNames);
+    await this.record({ ...entry, ...outcome });
+    return outcome;
+  }
+
+  // Send a test message through the named channels (all configured ones when omitted),
+  // bypassing rules, quiet hours and deduplication
+  async sendTest(tenantId, channelNames = null) {
+    const config = this.getConfig();
+    if (!config) {
+      return { status: 'disabled', deliveries: [] };
+    }
+
+    const names = channelNames || Object.keys(config.channels || {});
+    const title = 'Test notification';
+    const text = 'Notifications from your portfolio assistant are set up correctly.';
+    const deliveries = await this.deliver(names, {
+      event: 'test',
+      tenantId,
+      title,
+      text,
+      fields: [],
+      timestamp: new Date().toISOString(),
+    });
+    const status = deliveries.every(d => d.status === 'sent') ? 'sent' : 'failed';
+
+    await this.record({ tenantId, event: 'test', title, text, status, deliveries });
+    return { status, deliveries };
+  }
+}
+
+// One Notifier per notifications file, shared across requests
+const notifiers = instancePerPath(filePath => new Notifier(filePath));
+
+function getNotifier(filePath = process.env.NOTIFICATIONS_FILE || DEFAULT_NOTIFICATIONS_FILE) {
+  return notifiers(filePath);
+}
+
+// Send deferred notifications whose quiet hours are over, each through its own tenant's channels
+async function flushDeferred() {
+  if (!database.isConnectionReady()) {
+    return;
+  }
+  for (let i = 0; i < FLUSH_BATCH_SIZE; i++) {
+    const deferred = await Notification.claimDue(getTimeoutMs() * 2);
+    if (!deferred) {
+      return;
+    }
+    const notifier = getNotifier(tenants.getById(deferred.tenantId)?.notificationsFile);
+    let outcome = { status: 'failed', deliveries: [] };
+    try {
+      if (notifier.getConfig()) {
+        outcome = await notifier.send(deferred.toObject(), deferred.channels);
+      }
+    } catch (error) {
+      console.error(`❌ Deferred notification "${deferred.event}" failed:`, error.message);
+    }
+    deferred.set({ ...outcome, lockedUntil: undefined });
+    await deferred.save();
+  }
+}
+
+let flushTimer = null;
+let flushing = null;
+
+// Check for deferred notifications on a timer; like webhook retries, on serverless hosts this only
+// runs while an instance is warm
+function startDeferredFlush() {
+  if (!flushTimer) {
+    flushTimer = setInterval(
+      () => {
+        if (!flushing) {
+          flushing = flushDeferred()
+            .catch(error => console.error('❌ Error flushing deferred notifications:', error))
+            .finally(() => {
+              flushing = null;
+            });
+        }
+      },
+      parseInt(process.env.NOTIFY_POLL_MS) || 60000
+    );
+    flushTimer.unref();
+  }
+}
+
+// Fire-and-forget notification for a tenant's owner, so a slow mail server never holds up a reply
+function notifyOwner(event, details) {
+  const notifier = getNotifier(tenants.getById(details.tenantId)?.notificationsFile);
+  return Promise.resolve()
+    .then(() => notifier.notify(event, details))
+    .catch(error => {
+      console.error(`❌ Notification "${event}" failed:`, error.message);
+      return { status: 'error' };
+    });
+}
+
+module.exports = {
+  flushDeferred,
+  getNotifier,
+  notifyOwner,
+  startDeferredFlush,
+  validateNotifications,
+};
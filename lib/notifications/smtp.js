@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+// Email channel: { type: "smtp", host, port, secure, user, pass, from, to }. Implicit TLS with
+// `secure` (port 465), otherwise STARTTLS when the server offers it. Works with a relay such as
+// SES, Postmark or Gmail, and with a local stand-in like MailHog or smtp4dev.
+class SmtpChannel {
+  constructor({ host, port, secure = false, user, pass, from, to }, { timeoutMs }) {
+    this.from = from;
+    this.to = Array.isArray(to) ? to : [to];
+    // One connection per message; every phase is bounded, so an unreachable host fails fast
+    this.transport = nodemailer.createTransport({
+      host,
+      port: port || (secure ? 465 : 587),
+      secure,
+      auth: user ? { user, pass } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+  }
+
+  send(notification) {
+    const fields = notification.fields.map(field => `${field.label}: ${field.value}`).join('\n');
+    return this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: notification.title,
+      text: [notification.text, fields].filter(Boolean).join('\n\n'),
+    });
+  }
+}
+
+module.exports = {
+  SmtpChannel,
+};
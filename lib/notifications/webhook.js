@@ -0,0 +1,54 @@
+async function postJson(url, body, { headers = {}, timeoutMs }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status} ${response.statusText}`.trim());
+  }
+}
+
+// Generic channel: { type: "webhook", url, headers } — POSTs the notification as JSON
+class WebhookChannel {
+  constructor({ url, headers = {} }, { timeoutMs }) {
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(notification) {
+    return postJson(this.url, notification, { headers: this.headers, timeoutMs: this.timeoutMs });
+  }
+}
+
+// Slack (or Mattermost / Discord "/slack") incoming webhook: { type: "slack", url }
+class SlackChannel {
+  constructor({ url }, { timeoutMs }) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(notification) {
+    const fields = notification.fields.map(field => ({ type: 'mrkdwn', text: `*${field.label}*\n${field.value}` }));
+    return postJson(
+      this.url,
+      {
+        text: `${notification.title}${notification.text ? `\n${notification.text}` : ''}`,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: `*${notification.title}*` } },
+          ...(notification.text ? [{ type: 'section', text: { type: 'plain_text', text: notification.text } }] : []),
+          // Slack allows at most 10 fields per section
+          ...(fields.length > 0 ? [{ type: 'section', fields: fields.slice(0, 10) }] : []),
+        ],
+      },
+      { timeoutMs: this.timeoutMs }
+    );
+  }
+}
+
+module.exports = {
+  WebhookChannel,
+  SlackChannel,
+};
@@ -1,247 +1,266 @@
-const OpenAI = require('openai');
+const { getProvider, resolveLLMConfig, LLMError, CircuitOpenError } = require('./providers');
+const { getPersona } = require('./persona');
+const { getKnowledgeBase } = require('./knowledgeBase');
+const { findAnswersFor } = require('./questionTriage');
+const { chooseRoute } = require('./modelRouter');
+const { UsageMeter } = require('./usage');
+const ConversationSummarizer = require('./summarizer');
+const { buildHistory } = require('./contextBuilder');
+const { selectRelevantFacts, formatFacts, extractFromPastSessions } = require('./visitorMemory');
+const { toolRegistry, toProviderTools, toRulesPrompt } = require('./toolRegistry');
+const { ToolExecutor } = require('./toolExecutor');
+const { DEFAULT_TENANT_ID } = require('../models/tenantScope');
 
 class AIAssistant {
-  constructor() {
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    this.name = process.env.USER_NAME || 'Lovish Tater';
+  constructor({ tenantId = DEFAULT_TENANT_ID, personaFile, knowledgeDir, enabledTools, disabledTools } = {}) {
+    this.llmConfig = resolveLLMConfig('chat');
+    this.llm = getProvider(this.llmConfig);
+    this.tenantId = tenantId;
+    this.persona = getPersona(personaFile);
+    this.knowledgeBase = getKnowledgeBase(knowledgeDir);
+    this.toolDefinitions = toolRegistry.resolve({ enabledTools, disabledTools });
     this.tools = this.setupTools();
+    this.toolExecutor = new ToolExecutor(this.toolDefinitions, { tenantId });
+    this.summarizer = new ConversationSummarizer({
+      llm: this.llm,
+      model: this.llmConfig.fastModel,
+      persona: this.persona,
+      tenantId,
+    });
   }
 
-  setupTools() {
-    return [
-      {
-        type: 'function',
-        function: {
-          name: 'record_user_details',
-          description: `Record details about the visitor. Call this IMMEDIATELY (before generating your reply text) when any of these happen:
-1. Visitor gives any name — "I'm Saurabh", "rajesh tripathi", "it's Pooja", (generally people just write name, nothing else) nickname or handle → call with name
-2. Visitor gives their email address → call with email
-3. Visitor mentions their company, role, or what they're working on → call with notes
-Do NOT wait. Do NOT batch. Call the moment you detect one of these.`,
-          parameters: {
-            type: 'object',
-            properties: {
-              name: {
-                type: 'string',
-                description: "Visitor's name exactly as they gave it — first name, nickname, full name, any form",
-              },
-              email: {
-                type: 'string',
-                description: "Visitor's email address",
-              },
-              notes: {
-                type: 'string',
-                description:
-                  "One-line context about the visitor: their company, role, what they're building, why they're here",
-              },
-            },
-            required: [],
-            additionalProperties: false,
-          },
-        },
-      },
-      {
-        type: 'function',
-        function: {
-          name: 'record_unknown_question',
-          description:
-            'Record a question you could not answer. Call this silently — never tell the visitor you are logging it. Still give your best answer.',
-          parameters: {
-            type: 'object',
-            properties: {
-              question: {
-                type: 'string',
-                description: 'The question that could not be answered',
-              },
-            },
-            required: ['question'],
-            additionalProperties: false,
-          },
-        },
-      },
-    ];
+  // Read through the persona so profile reloads are picked up
+  get name() {
+    return this.persona.getName();
   }
 
-  getStaticSystemPrompt() {
-    const extraInfo = process.env.PERSONAL_INFO ? `\n## Additional context\n${process.env.PERSONAL_INFO}` : '';
-
-    return `You are Lovish Tater — talking directly with visitors on your personal portfolio. Not an AI, not a bot, not an assistant: you. Lovish. Having a real conversation with someone who landed on your site.
-
-Your voice: casual, sharp, occasionally witty, always genuine. You care about building real products and the startup world. You think about business impact before writing code. You have opinions. You've shipped across four early-stage companies and you know what 0→1 chaos actually feels like.
-
-Never say you're an AI, bot, or assistant. Never reference "my training" or "my knowledge cutoff". If directly asked how this chat is built: "Curious? Check the repo: https://github.com/lovishtater/meetLovish-backend-ai — feel free to poke around or contribute 😄"
-
----
-
-## Who you are
-- Grew up in Chittorgarh, Rajasthan. Now in Pune — you moved here because of the weather and the easy access to nature and hiking.
-- B.Tech Computer Science, Poornima College of Engineering, Jaipur
-- Started as a competitive programmer (Hackout 2021 winner, top 200 in Google HashCode & Code Jam 2022), then shifted focus to product engineering
-- AWS Cloud Practitioner + Azure AI Fundamentals certified. Actively building with LLMs/AI tooling.
-- Google Developer Student Clubs — Web Dev Lead at Poornima. Taught and mentored 100+ students.
-- CodeChef Chapter Leader — hosted contests, mentored juniors in DSA and competitive programming
-- YouTube channel attempt: https://www.youtube.com/watch?v=JUxzS7wxmp8 (full stack web dev)
-- Speaks Hindi (native) and English (professional fluency)
-
-## Career — most recent first
-
-**Calo** (current) · Food-tech, multi-country operations
-Building cafe ordering and delivery features that power operations across multiple countries. Works across mobile, web dashboards, and backend services. Stack: React Native, React.js, Node.js, AWS Lambda (serverless).
-
-**Source.One** · India's polymer trading platform
-Built the full internal commerce platform from scratch — complete order lifecycle: buyer requests, supplier matching, transporter bidding, WhatsApp-based comms. Stack: MERN + Flutter. Integrated Zoho, Cargo Exchange, Karza, WhatsApp Business API. Led ESLint adoption and TDD practices across the team, measurably cut bug count and improved release stability.
-
-**Elevate / OneFinnect** · Professional networking for US B-school and finance grads
-Built the entire platform from zero — auth, event system, job listings, admin tooling. Fully responsive, high-performing. Cut infrastructure costs significantly by removing third-party dependencies. MERN stack.
+  // OpenAI-style function tools for the tools enabled in this deployment
+  setupTools() {
+    return toProviderTools(this.toolDefinitions);
+  }
 
-**ByteLearn** · AI-powered math edtech
-Built reusable React Storybook components for an NPM-based UI library. Structured the spec for the AI math-tutor bot interface. Improved productivity for both dev and solver teams.
+  getToolRulesPrompt() {
+    return toRulesPrompt(this.toolDefinitions);
+  }
 
-## What makes you stand out
-You're not just someone who writes clean code and ships tickets. You take ownership beyond engineering — you've been in startup rooms where the product, backend, mobile app, and business model were all being figured out at the same time, and you contributed meaningfully to all of them. You have a product-first mindset and you know how to move fast without making a mess.
+  // Compiled from the persona profile (config/persona.json or PERSONA_FILE), which reloads on change
+  getStaticSystemPrompt() {
+    return this.persona.getSystemPrompt({
+      extraInfo: process.env.PERSONAL_INFO || '',
+      toolRules: this.getToolRulesPrompt(),
+    });
+  }
 
-You're a good fit for: senior engineering roles, early-stage startup tech lead, full-stack product engineering, anything at the intersection of engineering and business impact.
+  getUserContextPrompt(userContext, message = '') {
+    const facts = selectRelevantFacts(userContext.facts, message);
 
-## Tech stack
-- **Frontend:** React, Next.js, React Native, TypeScript, JavaScript, Tailwind CSS
-- **Backend:** Node.js, Express, REST APIs, Microservices
-- **Databases:** MongoDB, PostgreSQL, MySQL, Redis
-- **Cloud:** AWS (Lambda, S3, API Gateway, serverless architecture)
-- **AI/ML:** OpenAI API, LangChain, CrewAI
-- **Other:** WebSockets, Git, CI/CD tools
+    return `## Visitor context
+${userContext.name ? `- Name: ${userContext.name} — use it naturally, not every single message` : '- Name: unknown — ask once you have rapport, not immediately'}
+${userContext.email ? `- Email: ${userContext.email} — do NOT ask for it again` : '- Email: not collected — ask once if it feels natural'}
+${userContext.notes ? `- Notes: ${userContext.notes}` : ''}
+${userContext.lastVisit ? `- Returning visitor, last here ${new Date(userContext.lastVisit).toDateString()} — pick up where you left off instead of introducing yourself again` : ''}
+${facts.length ? `\n## What you remember about them\n${formatFacts(facts)}` : ''}`.trim();
+  }
 
-## Personal
-- Travels and shares photos on Instagram: https://www.instagram.com/lovishtater
-- Regular at local tech meetups
-- Plays basketball, badminton, chess. Occasional Clash of Clans. Used to be into Counter-Strike and other games.
+  // Retrieve the knowledge-base passages relevant to this message, if any
+  getKnowledgePrompt(message) {
+    const passages = this.knowledgeBase.search(message, {
+      limit: parseInt(process.env.KNOWLEDGE_TOP_K) || 3,
+    });
 
-## Contact
-- **LinkedIn:** https://www.linkedin.com/in/lovishtater08 — best way to reach out professionally
-- **Email:** ${process.env.EMAIL} — for resume requests (ask for their name + company first)
-- **GitHub:** https://github.com/lovishtater
-${extraInfo}
+    if (passages.length === 0) {
+      return null;
+    }
 
----
+    console.log(`📚 Retrieved ${passages.length} passages: ${passages.map(p => p.source).join(', ')}`);
 
-## Specific topics — how to handle
+    return `## Relevant background
+Use these notes only if they help with the visitor's latest message. Speak from them as your own memory — never mention notes or documents.
 
-**Resume request:** "Happy to share — send me an email at ${process.env.EMAIL} with your name and company. I like knowing who I'm connecting with before firing off my resume into the void 😄"
+${passages.map(p => `[${p.heading || p.source}]\n${p.text}`).join('\n\n')}`;
+  }
 
-**Tech stack of this chat:** "Curious? Here's the repo: https://github.com/lovishtater/meetLovish-backend-ai — feel free to poke around or contribute 😄"
+  // Owner-written answers to previously unknown questions that resemble this message
+  async getAnsweredQuestionsPrompt(message) {
+    let answers = [];
+    try {
+      answers = await findAnswersFor(message, this.tenantId);
+    } catch (error) {
+      console.error('❌ Error loading answered questions:', error);
+    }
 
-**General coding request** ("write me a sorting algorithm", "code me X"): "Ha, I'm not a code vending machine — but if you want to talk through how I'd approach something or what I've actually built in production, I'm down. What's the context?"
+    if (answers.length === 0) {
+      return null;
+    }
 
-**Relationship / personal questions:** Light, funny. "Prioritizing PRs over DMs right now 😅 — working on anything interesting yourself?"
+    return `## Answers you've given before
+You've been asked these before and decided how to answer. Reuse the substance in your own voice.
 
-**Questions completely unrelated to you** (general trivia, who founded Google, etc.): Redirect naturally. "Not really my territory — I'm more useful for startup/engineering conversations. What are you trying to figure out?"
+${answers.map(a => `Q: ${a.question}\nA: ${a.answer}`).join('\n\n')}`;
+  }
 
-**Questions you genuinely can't answer:** Give your best answer, call record_unknown_question silently.
+  // history: { current, prior } Chat documents, windowed to the context token budget
+  async buildMessages(message, history = {}, userContext = null, options = {}) {
+    const knowledgePrompt = this.getKnowledgePrompt(message);
+    const answersPrompt = await this.getAnsweredQuestionsPrompt(message);
 
----
+    const fixedMessages = [
+      { role: 'system', content: this.getStaticSystemPrompt() },
+      ...(knowledgePrompt ? [{ role: 'system', content: knowledgePrompt }] : []),
+      ...(answersPrompt ? [{ role: 'system', content: answersPrompt }] : []),
+      ...(userContext ? [{ role: 'system', content: this.getUserContextPrompt(userContext, message) }] : []),
+      ...(options.sessionSummary
+        ? [{ role: 'system', content: `## Earlier in this conversation\n${options.sessionSummary}` }]
+        : []),
+      ...(options.responseInstructions
+        ? [{ role: 'system', content: `## Response length\n${options.responseInstructions}` }]
+        : []),
+    ];
 
-## Tool rules — non-negotiable
+    const { messages: historyMessages, stats } = buildHistory(fixedMessages, message, history);
+    console.log(
+      `🧮 Context: ${stats.fixedTokens} fixed + ${stats.historyTokens} history tokens of ${stats.budget} ` +
+        `(${stats.currentTurns} current turns, ${stats.currentDropped} dropped, ${stats.priorTurns} from earlier sessions)`
+    );
 
-1. **Name:** Call \`record_user_details\` with their name BEFORE writing your reply. Triggers:
-   - Introduced form: "I'm Raj", "it's Pooja", "call me Alex", "my name is Saurabh"
-   - **Bare reply (most common):** You asked "what's your name?" and they reply with just one or two words — that IS their name. "John", "Priya", "Rahul S", "golu" — all are names. Record them.
-   - Any nickname or handle counts.
-2. **Email:** Same rule. The moment an email appears, call \`record_user_details\` with it immediately.
-3. **Context:** If they mention company, role, or what they're building, call \`record_user_details\` with a brief note.
-4. **Unknown question:** Call \`record_unknown_question\` silently — never tell the visitor you're logging it.
+    return [...fixedMessages, ...historyMessages, { role: 'user', content: message }];
+  }
 
----
+  // Run one round of tool calls; rounds past the per-turn limit are answered with an error instead
+  handleToolCall(toolCalls, sessionId = null, userInfo = null, userId = null, round = 1) {
+    const context = { sessionId, userInfo, userId };
+    return round > this.toolExecutor.maxRounds
+      ? this.toolExecutor.refuse(toolCalls, context)
+      : this.toolExecutor.execute(toolCalls, context);
+  }
 
-## Response style
-- Short by default. Match the energy. Don't pad.
-- Go into depth only when the question genuinely calls for it — career deep-dives, specific project questions, architecture discussions.
-- First person, always. Never "As Lovish..." — you just talk like yourself.
-- No bullet lists for conversational replies. Only use them when content is genuinely list-like.
-- Off-topic drift: engage briefly, then redirect naturally — "Anyway, what brings you here?"
-- Never close with "Let me know if you have any questions" or similar filler.`;
+  // Once the model has had its tool rounds plus the refused one, it must answer in text
+  toolChoiceFor(toolRounds) {
+    return toolRounds > this.toolExecutor.maxRounds ? 'none' : undefined;
   }
 
-  getUserContextPrompt(userContext) {
-    return `## Visitor context
-${userContext.name ? `- Name: ${userContext.name} — use it naturally, not every single message` : '- Name: unknown — ask once you have rapport, not immediately'}
-${userContext.email ? `- Email: ${userContext.email} — do NOT ask for it again` : '- Email: not collected — ask once if it feels natural'}
-${userContext.notes ? `- Notes: ${userContext.notes}` : ''}`;
+  // Tool results of a finished turn as { type, data } for Chat.toolOutputs, typed by the
+  // registry's logType of the tool that produced them
+  getToolOutputs(messages) {
+    const toolNames = messages
+      .filter(msg => msg.tool_calls)
+      .flatMap(msg => msg.tool_calls)
+      .reduce((names, call) => {
+        names[call.id] = call.function.name;
+        return names;
+      }, {});
+
+    return messages
+      .filter(msg => msg.role === 'tool')
+      .map(msg => ({
+        type: toolRegistry.get(toolNames[msg.tool_call_id])?.logType || 'invalid_tool',
+        data: JSON.parse(msg.content),
+      }));
   }
 
-  async handleToolCall(toolCalls, sessionId = null, userInfo = null, userId = null) {
-    const results = [];
-    const { recordUserDetails, recordUnknownQuestion } = require('./tools');
-
-    for (const toolCall of toolCalls) {
-      const toolName = toolCall.function.name;
-      const args = JSON.parse(toolCall.function.arguments);
-      console.log(`🔧 Tool called: ${toolName}`, args);
-
-      let result = {};
-
-      if (toolName === 'record_user_details') {
-        result = await recordUserDetails(
-          args.email || '',
-          args.name || '',
-          args.notes || '',
-          sessionId,
-          userInfo,
-          userId
-        );
-        if (result.validationError) {
-          result = { error: result.message, field: result.field, validationError: true };
-        }
-      } else if (toolName === 'record_unknown_question') {
-        result = await recordUnknownQuestion(args.question, sessionId, userInfo, userId);
-      } else {
-        result = { error: 'Unknown tool' };
-      }
+  // Fold older turns of a long session into its stored summary; returns the summary doc or null
+  async refreshSessionSummary(sessionId, userId = null, usage = null) {
+    try {
+      return await this.summarizer.refresh(sessionId, userId, usage);
+    } catch (error) {
+      console.error('❌ Error loading session summary:', error);
+      return null;
+    }
+  }
 
-      results.push({
-        role: 'tool',
-        content: JSON.stringify(result),
-        tool_call_id: toolCall.id,
+  // Extract facts from the visitor's finished sessions; returns the number of facts stored
+  async rememberPastSessions(user, currentSessionId) {
+    try {
+      return await extractFromPastSessions(user, currentSessionId, {
+        llm: this.llm,
+        model: this.llmConfig.fastModel,
+        personaName: this.name,
+        tenantId: this.tenantId,
       });
+    } catch (error) {
+      console.error('❌ Error extracting visitor memory:', error);
+      return 0;
     }
+  }
 
-    return results;
+  // Pick model, max_tokens and temperature for this turn
+  route(message, userContext, options) {
+    const route = chooseRoute(message, this.llmConfig, {
+      needsDetailedResponse: options.needsDetailedResponse,
+      userContext,
+      economy: options.economy,
+    });
+    console.log(`🧭 Route "${route.name}" → ${route.model} (${route.reasons.join(', ')})`);
+    return route;
   }
 
-  async chat(message, sessionMessages = [], sessionId = null, userInfo = null, userId = null, userContext = null) {
-    const messages = [
-      { role: 'system', content: this.getStaticSystemPrompt() },
-      ...(userContext ? [{ role: 'system', content: this.getUserContextPrompt(userContext) }] : []),
-      ...sessionMessages,
-      { role: 'user', content: message },
-    ];
+  // Served while the circuit breaker is open instead of failing the request
+  getUnavailableReply() {
+    return "Sorry, I'm having trouble gathering my thoughts right now. Give me a minute and ask again — or leave your email and I'll get back to you.";
+  }
+
+  // options.responseInstructions / options.needsDetailedResponse: verdict from the pre-flight check
+  // options.usage: UsageMeter to record each completion on (one per tool-loop iteration)
+  // options.economy: spend budget nearly used — cheaper model, shorter replies
+  // options.sessionSummary: condensed older turns of this session (see refreshSessionSummary)
+  async chat(
+    message,
+    history = {},
+    sessionId = null,
+    userInfo = null,
+    userId = null,
+    userContext = null,
+    options = {}
+  ) {
+    const messages = await this.buildMessages(message, history, userContext, options);
+    const route = this.route(message, userContext, options);
+    const usage = options.usage || new UsageMeter();
 
     let done = false;
+    let toolRounds = 0;
 
     while (!done) {
       try {
-        const response = await this.openai.chat.completions.create({
-          model: 'gpt-4.1-mini',
+        const response = await this.llm.chat({
+          model: route.model,
+          fallbackModel: this.llmConfig.fallbackModel,
           messages,
           tools: this.tools,
-          temperature: 0.7,
-          max_tokens: 800,
+          toolChoice: this.toolChoiceFor(toolRounds),
+          temperature: route.temperature,
+          maxTokens: route.maxTokens,
         });
+        usage.record('chat', response.model, response.usage);
 
-        const choice = response.choices[0];
-
-        if (choice.finish_reason === 'tool_calls') {
-          const toolResults = await this.handleToolCall(choice.message.tool_calls, sessionId, userInfo, userId);
-          messages.push(choice.message);
+        // A provider that ignores tool_choice must not keep the loop going
+        if (response.finishReason === 'tool_calls' && !this.toolChoiceFor(toolRounds)) {
+          toolRounds += 1;
+          const toolResults = await this.handleToolCall(response.toolCalls, sessionId, userInfo, userId, toolRounds);
+          messages.push({ role: 'assistant', content: response.content || null, tool_calls: response.toolCalls });
           messages.push(...toolResults);
         } else {
           done = true;
           return {
-            content: choice.message.content,
+            content: response.content || this.getUnavailableReply(),
             messages: messages.slice(1),
+            route,
+            usage,
           };
         }
       } catch (error) {
-        console.error('OpenAI API Error:', error);
-        throw new Error('Failed to get response from AI assistant');
+        if (error instanceof CircuitOpenError) {
+          const content = this.getUnavailableReply();
+          return {
+            content,
+            messages: [...messages.slice(1), { role: 'assistant', content }],
+            route,
+            usage,
+            degraded: error.code,
+          };
+        }
+        console.error(`LLM API Error (${this.llm.name}):`, error);
+        // Typed LLM errors carry the status the route should answer with
+        throw error instanceof LLMError ? error : new Error('Failed to get response from AI assistant');
       }
     }
   }
@@ -249,89 +268,79 @@ ${userContext.notes ? `- Notes: ${userContext.notes}` : ''}`;
   // Streaming chat — calls onChunk({ type: 'content', text }) for each token
   async chatStream(
     message,
-    sessionMessages = [],
+    history = {},
     sessionId = null,
     userInfo = null,
     userId = null,
     userContext = null,
-    onChunk = null
+    onChunk = null,
+    options = {}
   ) {
-    const messages = [
-      { role: 'system', content: this.getStaticSystemPrompt() },
-      ...(userContext ? [{ role: 'system', content: this.getUserContextPrompt(userContext) }] : []),
-      ...sessionMessages,
-      { role: 'user', content: message },
-    ];
+    const messages = await this.buildMessages(message, history, userContext, options);
+    const route = this.route(message, userContext, options);
+    const usage = options.usage || new UsageMeter();
 
     let fullContent = '';
     let done = false;
+    let toolRounds = 0;
 
     while (!done) {
       try {
-        const stream = await this.openai.chat.completions.create({
-          model: 'gpt-4.1-mini',
+        let result = null;
+
+        // Providers yield normalized content chunks, then a final event with assembled tool calls
+        for await (const event of this.llm.stream({
+          model: route.model,
+          fallbackModel: this.llmConfig.fallbackModel,
           messages,
           tools: this.tools,
-          temperature: 0.7,
-          max_tokens: 800,
-          stream: true,
-        });
-
-        const pendingToolCalls = [];
-        let finishReason = null;
-        let assistantContentBuffer = '';
-
-        for await (const chunk of stream) {
-          const delta = chunk.choices[0]?.delta;
-          finishReason = chunk.choices[0]?.finish_reason || finishReason;
-
-          if (delta?.content) {
-            assistantContentBuffer += delta.content;
-            fullContent += delta.content;
+          toolChoice: this.toolChoiceFor(toolRounds),
+          temperature: route.temperature,
+          maxTokens: route.maxTokens,
+        })) {
+          if (event.type === 'content') {
+            fullContent += event.text;
             if (onChunk) {
-              onChunk({ type: 'content', text: delta.content });
-            }
-          }
-
-          if (delta?.tool_calls) {
-            for (const tc of delta.tool_calls) {
-              const idx = tc.index;
-              if (!pendingToolCalls[idx]) {
-                pendingToolCalls[idx] = { id: '', type: 'function', function: { name: '', arguments: '' } };
-              }
-              if (tc.id) {
-                pendingToolCalls[idx].id = tc.id;
-              }
-              if (tc.function?.name) {
-                pendingToolCalls[idx].function.name += tc.function.name;
-              }
-              if (tc.function?.arguments) {
-                pendingToolCalls[idx].function.arguments += tc.function.arguments;
-              }
+              onChunk({ type: 'content', text: event.text });
             }
+          } else if (event.type === 'done') {
+            result = event;
+            usage.record('chat', event.model, event.usage);
           }
         }
 
-        if (finishReason === 'tool_calls' && pendingToolCalls.length > 0) {
+        if (result?.finishReason === 'tool_calls' && result.toolCalls.length > 0 && !this.toolChoiceFor(toolRounds)) {
+          toolRounds += 1;
           messages.push({
             role: 'assistant',
-            content: assistantContentBuffer || null,
-            tool_calls: pendingToolCalls,
+            content: result.content || null,
+            tool_calls: result.toolCalls,
           });
-          const toolResults = await this.handleToolCall(pendingToolCalls, sessionId, userInfo, userId);
+          const toolResults = await this.handleToolCall(result.toolCalls, sessionId, userInfo, userId, toolRounds);
           messages.push(...toolResults);
         } else {
           done = true;
         }
       } catch (error) {
-        console.error('OpenAI Stream Error:', error);
-        throw new Error('Failed to get response from AI assistant');
+        if (error instanceof CircuitOpenError) {
+          const content = this.getUnavailableReply();
+          fullContent += content;
+          if (onChunk) {
+            onChunk({ type: 'content', text: content });
+          }
+          messages.push({ role: 'assistant', content });
+          return { content: fullContent, messages: messages.slice(1), route, usage, degraded: error.code };
+        }
+        console.error(`LLM Stream Error (${this.llm.name}):`, error);
+        throw error instanceof LLMError ? error : new Error('Failed to get response from AI assistant');
       }
     }
 
     return {
       content: fullContent,
       messages: messages.slice(1),
+      route,
+      usage,
     };
   }
 }
@@ -0,0 +1,251 @@
+const path = require('path');
+const { loadJsonConfig, instancePerPath } = require('../utils/configFile');
+
+const DEFAULT_PERSONA_FILE = path.join(__dirname, '..', 'config', 'persona.json');
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+// Validate a persona profile, returning a list of human-readable problems (empty when valid)
+function validatePersona(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be a JSON object'];
+  }
+
+  const { identity } = profile;
+  if (!identity || typeof identity !== 'object') {
+    errors.push('identity is required');
+  } else {
+    ['name', 'intro'].forEach(field => {
+      if (!isNonEmptyString(identity[field])) {
+        errors.push(`identity.${field} must be a non-empty string`);
+      }
+    });
+    ['voice', 'disclosure'].forEach(field => {
+      if (identity[field] !== undefined && typeof identity[field] !== 'string') {
+        errors.push(`identity.${field} must be a string`);
+      }
+    });
+  }
+
+  ['about', 'personal', 'goodFitFor', 'style', 'starters'].forEach(field => {
+    if (profile[field] !== undefined && !isStringArray(profile[field])) {
+      errors.push(`${field} must be an array of non-empty strings`);
+    }
+  });
+
+  if (profile.standOut !== undefined && typeof profile.standOut !== 'string') {
+    errors.push('standOut must be a string');
+  }
+
+  if (!Array.isArray(profile.career)) {
+    errors.push('career must be an array');
+  } else {
+    profile.career.forEach((entry, i) => {
+      if (!isNonEmptyString(entry?.company)) {
+        errors.push(`career[${i}].company must be a non-empty string`);
+      }
+      if (!isNonEmptyString(entry?.summary)) {
+        errors.push(`career[${i}].summary must be a non-empty string`);
+      }
+      if (entry?.stack !== undefined && !isStringArray(entry.stack)) {
+        errors.push(`career[${i}].stack must be an array of non-empty strings`);
+      }
+    });
+  }
+
+  if (profile.stack !== undefined) {
+    if (!profile.stack || typeof profile.stack !== 'object' || Array.isArray(profile.stack)) {
+      errors.push('stack must be an object of category → technologies');
+    } else {
+      Object.entries(profile.stack).forEach(([category, items]) => {
+        if (!isStringArray(items)) {
+          errors.push(`stack.${category} must be an array of non-empty strings`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(profile.contact)) {
+    errors.push('contact must be an array');
+  } else {
+    profile.contact.forEach((link, i) => {
+      if (!isNonEmptyString(link?.label) || typeof link?.value !== 'string') {
+        errors.push(`contact[${i}] needs a label and a value`);
+      }
+    });
+  }
+
+  if (profile.topics !== undefined) {
+    if (!Array.isArray(profile.topics)) {
+      errors.push('topics must be an array');
+    } else {
+      profile.topics.forEach((handler, i) => {
+        if (!isNonEmptyString(handler?.topic) || !isNonEmptyString(handler?.response)) {
+          errors.push(`topics[${i}] needs a topic and a response`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Compile a (validated, interpolated) profile into the assistant's system prompt.
+// toolRules is injected between the topic handlers and the style rules.
+function compileSystemPrompt(profile, { extraInfo = '', toolRules = '' } = {}) {
+  const { identity } = profile;
+  const sections = [];
+
+  sections.push([identity.intro, identity.voice, identity.disclosure].filter(Boolean).join('\n\n'));
+
+  const bio = [];
+  if (profile.about?.length) {
+    bio.push(`## Who you are\n${profile.about.map(line => `- ${line}`).join('\n')}`);
+  }
+
+  if (profile.career.length) {
+    const entries = profile.career.map(entry => {
+      const heading = `**${entry.company}**${entry.current ? ' (current)' : ''}${entry.tagline ? ` · ${entry.tagline}` : ''}`;
+      const stack = entry.stack?.length ? ` Stack: ${entry.stack.join(', ')}.` : '';
+      return `${heading}\n${entry.summary}${stack}`;
+    });
+    bio.push(`## Career — most recent first\n\n${entries.join('\n\n')}`);
+  }
+
+  if (profile.standOut || profile.goodFitFor?.length) {
+    const parts = [
+      profile.standOut,
+      profile.goodFitFor?.length && `You're a good fit for: ${profile.goodFitFor.join(', ')}.`,
+    ];
+    bio.push(`## What makes you stand out\n${parts.filter(Boolean).join('\n\n')}`);
+  }
+
+  if (profile.stack && Object.keys(profile.stack).length) {
+    const lines = Object.entries(profile.stack).map(([category, items]) => `- **${category}:** ${items.join(', ')}`);
+    bio.push(`## Tech stack\n${lines.join('\n')}`);
+  }
+
+  if (profile.personal?.length) {
+    bio.push(`## Personal\n${profile.personal.map(line => `- ${line}`).join('\n')}`);
+  }
+
+  const contactLines = profile.contact
+    .filter(link => link.value)
+    .map(link => `- **${link.label}:** ${link.value}${link.note ? ` — ${link.note}` : ''}`);
+  if (contactLines.length) {
+    bio.push(`## Contact\n${contactLines.join('\n')}`);
+  }
+
+  if (extraInfo) {
+    bio.push(`## Additional context\n${extraInfo}`);
+  }
+
+  sections.push(bio.join('\n\n'));
+
+  if (profile.topics?.length) {
+    const handlers = profile.topics.map(handler =>
+      handler.examples
+        ? `**${handler.topic}** (${handler.examples}): ${handler.response}`
+        : `**${handler.topic}:** ${handler.response}`
+    );
+    sections.push(`## Specific topics — how to handle\n\n${handlers.join('\n\n')}`);
+  }
+
+  if (toolRules) {
+    sections.push(toolRules);
+  }
+
+  if (profile.style?.length) {
+    sections.push(`## Response style\n${profile.style.map(line => `- ${line}`).join('\n')}`);
+  }
+
+  return sections.join('\n\n---\n\n');
+}
+
+class Persona {
+  constructor(filePath = DEFAULT_PERSONA_FILE) {
+    this.filePath = path.resolve(filePath);
+    this.profile = null;
+    this.loadError = null;
+  }
+
+  // Read, interpolate and validate the profile file (cached until it changes). Throws on any problem.
+  load() {
+    this.profile = loadJsonConfig(this.filePath, { label: 'persona profile', validate: validatePersona });
+    return this.profile;
+  }
+
+  // Return the current profile, reloading it when the file has changed on disk.
+  // A broken edit keeps the last good profile in service.
+  get() {
+    if (!this.profile) {
+      return this.load();
+    }
+
+    const previous = this.profile;
+    try {
+      if (this.load() !== previous) {
+        console.log(`🔄 Persona profile reloaded from ${this.filePath}`);
+      }
+    } catch (error) {
+      // A broken file throws the same error until it's edited again, so it's only logged once
+      if (error !== this.loadError) {
+        console.error('❌ Persona reload failed, keeping previous profile:', error.message);
+        this.loadError = error;
+      }
+    }
+
+    return this.profile;
+  }
+
+  getName() {
+    return this.get().identity.name;
+  }
+
+  getCurrentCompany() {
+    return this.get().career.find(entry => entry.current)?.company || null;
+  }
+
+  // Conversation starters for a fresh session: the profile's `starters`, or a few built from
+  // the profile and the tools this deployment has on
+  getStarters(toolNames = []) {
+    const profile = this.get();
+    if (profile.starters?.length) {
+      return profile.starters;
+    }
+
+    const company = this.getCurrentCompany();
+    const firstTech = Object.values(profile.stack || {})[0]?.[0];
+    return [
+      company && `What are you working on at ${company}?`,
+      firstTech && toolNames.includes('search_projects') && `What have you built with ${firstTech}?`,
+      toolNames.includes('propose_meeting') && 'Can we set up a call?',
+      toolNames.includes('share_resume') && 'Can I see your resume?',
+    ].filter(Boolean);
+  }
+
+  getSystemPrompt(options = {}) {
+    return compileSystemPrompt(this.get(), options);
+  }
+}
+
+// One Persona per profile file, shared across requests
+const personas = instancePerPath(filePath => new Persona(filePath));
+
+function getPersona(filePath = process.env.PERSONA_FILE || DEFAULT_PERSONA_FILE) {
+  return personas(filePath);
+}
+
+module.exports = {
+  getPersona,
+  validatePersona,
+  compileSystemPrompt,
+};
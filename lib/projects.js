@@ -0,0 +1,166 @@
+const path = require('path');
+const { loadJsonConfig, instancePerPath } = require('../utils/configFile');
+const { tokenize } = require('./knowledgeBase');
+
+const DEFAULT_PROJECTS_FILE = path.join(__dirname, '..', 'config', 'projects.json');
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+// Validate a projects file, returning a list of human-readable problems (empty when valid)
+function validateProjects(catalogue) {
+  const errors = [];
+
+  if (!catalogue || !Array.isArray(catalogue.projects)) {
+    return ['projects must be an array'];
+  }
+
+  const ids = new Set();
+  catalogue.projects.forEach((project, i) => {
+    const label = isNonEmptyString(project?.id) ? `project "${project.id}"` : `projects[${i}]`;
+
+    ['id', 'name', 'summary'].forEach(field => {
+      if (!isNonEmptyString(project?.[field])) {
+        errors.push(`${label}: ${field} must be a non-empty string`);
+      }
+    });
+    ['company', 'role'].forEach(field => {
+      if (project?.[field] !== undefined && !isNonEmptyString(project[field])) {
+        errors.push(`${label}: ${field} must be a non-empty string`);
+      }
+    });
+    ['stack', 'highlights'].forEach(field => {
+      if (project?.[field] !== undefined && !isStringArray(project[field])) {
+        errors.push(`${label}: ${field} must be an array of non-empty strings`);
+      }
+    });
+    ['start', 'end'].forEach(field => {
+      if (project?.[field] !== undefined && !MONTH_PATTERN.test(project[field])) {
+        errors.push(`${label}: ${field} must be a "YYYY-MM" month`);
+      }
+    });
+    if (project?.links !== undefined) {
+      if (
+        !Array.isArray(project.links) ||
+        !project.links.every(l => isNonEmptyString(l?.label) && isNonEmptyString(l?.url))
+      ) {
+        errors.push(`${label}: links must be an array of { label, url }`);
+      }
+    }
+    if (ids.has(project?.id)) {
+      errors.push(`${label}: id is used twice`);
+    }
+    ids.add(project?.id);
+  });
+
+  return errors;
+}
+
+// "React.js", "react-js" and "ReactJS" all become "react"; "react-native" becomes "react native".
+// JavaScript itself ("JS", "js") becomes "javascript" rather than nothing.
+function normalizeTech(value) {
+  const normalized = String(value || '')
+    .toLowerCase()
+    .replace(/[.\s-]?js\b/g, '')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+  return normalized || (/\bjs\b/i.test(String(value || '')) ? 'javascript' : '');
+}
+
+// Whole-word match, so "react" finds "React Native" but "react native" doesn't find "React"
+function containsWords(haystack, needle) {
+  return Boolean(needle) && ` ${haystack} `.includes(` ${needle} `);
+}
+
+// Current work first, then most recent start; undated projects keep their file order
+function byRecency(a, b) {
+  if (Boolean(a.current) !== Boolean(b.current)) {
+    return a.current ? -1 : 1;
+  }
+  return (b.start || '').localeCompare(a.start || '');
+}
+
+// The card a chat response carries for one project
+function toCard(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    company: project.company || null,
+    role: project.role || null,
+    summary: project.summary,
+    stack: project.stack || [],
+    highlights: project.highlights || [],
+    links: project.links || [],
+    start: project.start || null,
+    end: project.current ? null : project.end || null,
+    current: Boolean(project.current),
+  };
+}
+
+// The owner's projects from a JSON catalogue, searchable by technology, company and keyword
+class ProjectCatalogue {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Reload when the file changes; a broken edit throws so it's caught at the tool boundary
+  getProjects() {
+    return loadJsonConfig(this.filePath, { label: 'projects file', validate: validateProjects }).projects;
+  }
+
+  // Projects matching every filter given. `technology` matches the stack, `company` the
+  // company name, and `query` ranks by keyword overlap across all text fields.
+  search({ technology, company, query, limit = DEFAULT_LIMIT } = {}) {
+    const tech = normalizeTech(technology);
+    const companyName = normalizeTech(company);
+    const queryTerms = [...new Set(tokenize(query || ''))];
+
+    const matches = this.getProjects()
+      // A filter that normalizes to nothing ("!!") matches nothing rather than everything
+      .filter(project => !technology || (project.stack || []).some(item => containsWords(normalizeTech(item), tech)))
+      .filter(project => !company || containsWords(normalizeTech(project.company), companyName))
+      .map(project => {
+        if (queryTerms.length === 0) {
+          return { project, score: 0 };
+        }
+        const text = [
+          project.name,
+          project.company,
+          project.role,
+          project.summary,
+          ...(project.stack || []),
+          ...(project.highlights || []),
+        ].join(' ');
+        const terms = new Set(tokenize(text));
+        return { project, score: queryTerms.filter(term => terms.has(term)).length };
+      })
+      .filter(({ score }) => queryTerms.length === 0 || score > 0)
+      .sort((a, b) => b.score - a.score || byRecency(a.project, b.project));
+
+    return {
+      total: matches.length,
+      projects: matches.slice(0, Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT)).map(({ project }) => toCard(project)),
+    };
+  }
+}
+
+// One catalogue per projects file, shared across requests
+const catalogues = instancePerPath(filePath => new ProjectCatalogue(filePath));
+
+function getProjectCatalogue(filePath = process.env.PROJECTS_FILE || DEFAULT_PROJECTS_FILE) {
+  return catalogues(filePath);
+}
+
+module.exports = {
+  getProjectCatalogue,
+  validateProjects,
+  normalizeTech,
+};
@@ -0,0 +1,178 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Convert the OpenAI-style message list used throughout the app into Anthropic's format:
+// system messages become the system prompt, tool calls become tool_use blocks and tool
+// results are folded into the following user turn.
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  const push = (role, blocks) => {
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (message.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+    } else if (message.role === 'assistant') {
+      const blocks = [];
+      if (message.content) {
+        blocks.push({ type: 'text', text: message.content });
+      }
+      (message.tool_calls || []).forEach(tc => {
+        blocks.push({
+          type: 'tool_use',
+          id: tc.id,
+          name: tc.function.name,
+          input: parseArguments(tc.function.arguments),
+        });
+      });
+      if (blocks.length) {
+        push('assistant', blocks);
+      }
+    } else if (message.content) {
+      push('user', [{ type: 'text', text: message.content }]);
+    }
+  });
+
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+function toAnthropicTools(tools = []) {
+  return tools.map(tool => ({
+    name: tool.function.name,
+    description: tool.function.description,
+    input_schema: tool.function.parameters,
+  }));
+}
+
+function normalizeStopReason(stopReason) {
+  if (stopReason === 'tool_use') {
+    return 'tool_calls';
+  }
+  return stopReason === 'max_tokens' ? 'length' : 'stop';
+}
+
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Adapter for Anthropic's Messages API, normalized to the OpenAI shapes the rest of the app uses
+class AnthropicProvider {
+  constructor({ apiKey, baseURL }) {
+    this.name = 'anthropic';
+    // Retries and timeouts are handled by ResilientProvider
+    this.client = new Anthropic({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, temperature, maxTokens }) {
+    const { system, messages: converted } = toAnthropicMessages(messages);
+    return {
+      model,
+      messages: converted,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      ...(system ? { system } : {}),
+      ...(tools?.length ? { tools: toAnthropicTools(tools) } : {}),
+      ...(tools?.length && toolChoice ? { tool_choice: { type: toolChoice } } : {}),
+      ...(temperature !== undefined ? { temperature: Math.min(temperature, 1) } : {}),
+    };
+  }
+
+  async chat(params) {
+    const response = await this.client.messages.create(this.buildRequest(params), { signal: params.signal });
+
+    const content = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = response.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+      }));
+
+    return {
+      content,
+      toolCalls,
+      finishReason: normalizeStopReason(response.stop_reason),
+      usage: normalizeUsage(response.usage),
+      model: response.model || params.model,
+    };
+  }
+
+  async *stream(params) {
+    const stream = await this.client.messages.create(
+      { ...this.buildRequest(params), stream: true },
+      { signal: params.signal }
+    );
+
+    const blocks = [];
+    let content = '';
+    let stopReason = null;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let model = params.model;
+
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        model = event.message.model || model;
+        usage.input_tokens = event.message.usage?.input_tokens || 0;
+        usage.output_tokens = event.message.usage?.output_tokens || 0;
+      } else if (event.type === 'content_block_start') {
+        blocks[event.index] = { ...event.content_block, partialJson: '' };
+      } else if (event.type === 'content_block_delta') {
+        if (event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          yield { type: 'content', text: event.delta.text };
+        } else if (event.delta.type === 'input_json_delta') {
+          blocks[event.index].partialJson += event.delta.partial_json;
+        }
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta.stop_reason || stopReason;
+        usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+      }
+    }
+
+    const toolCalls = blocks
+      .filter(block => block?.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: block.partialJson || '{}' },
+      }));
+
+    yield {
+      type: 'done',
+      content,
+      toolCalls,
+      finishReason: normalizeStopReason(stopReason),
+      usage: normalizeUsage(usage),
+      model,
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
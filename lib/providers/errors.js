@@ -0,0 +1,84 @@
+// Typed LLM failures. `statusCode` is what our API should answer with, not the upstream status.
+class LLMError extends Error {
+  constructor(message, { statusCode = 502, code = 'llm_error', retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class LLMTimeoutError extends LLMError {
+  constructor(timeoutMs, options = {}) {
+    super(`LLM call timed out after ${timeoutMs}ms`, {
+      statusCode: 504,
+      code: 'llm_timeout',
+      retryable: true,
+      ...options,
+    });
+  }
+}
+
+class LLMRateLimitError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, code: 'llm_rate_limited', retryable: true, ...options });
+  }
+}
+
+class LLMUnavailableError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, code: 'llm_unavailable', retryable: true, ...options });
+  }
+}
+
+class CircuitOpenError extends LLMError {
+  constructor(retryAfterMs) {
+    super('LLM circuit breaker is open', { statusCode: 503, code: 'llm_circuit_open', retryAfterMs });
+  }
+}
+
+function parseRetryAfter(headers) {
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Map an SDK/network error from any provider onto the typed errors above
+function classifyError(error) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+
+  const status = error?.status;
+  const message = error?.message || 'LLM request failed';
+
+  if (status === 429) {
+    return new LLMRateLimitError(message, { retryAfterMs: parseRetryAfter(error.headers), cause: error });
+  }
+  if (status >= 500 || status === 408 || status === 409) {
+    return new LLMUnavailableError(message, { cause: error });
+  }
+  if (!status) {
+    // No HTTP status: connection reset, DNS failure, aborted socket...
+    return new LLMUnavailableError(message, { cause: error });
+  }
+  // 400/401/403/404: our request or credentials are wrong — retrying won't help
+  const rejected = new LLMError(message, { statusCode: 502, code: 'llm_request_rejected', cause: error });
+  // The model itself was refused (unknown, retired, not enabled for this key): another model may still work
+  rejected.modelRejected = status === 404 || ([400, 403].includes(status) && /\bmodel\b/i.test(message));
+  return rejected;
+}
+
+module.exports = {
+  LLMError,
+  LLMTimeoutError,
+  LLMRateLimitError,
+  LLMUnavailableError,
+  CircuitOpenError,
+  classifyError,
+};
@@ -0,0 +1,101 @@
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+const MockProvider = require('./mock');
+const ResilientProvider = require('./resilient');
+const errors = require('./errors');
+
+// Default models per provider: `chat` answers visitors, `fast` runs classification
+const PROVIDER_DEFAULTS = {
+  openai: {
+    chat: 'gpt-4.1-mini',
+    fast: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+  },
+  'openai-compatible': {
+    chat: 'llama3.1',
+    fast: 'llama3.1',
+    baseURL: 'http://localhost:11434/v1', // Ollama
+  },
+  anthropic: {
+    chat: 'claude-sonnet-4-5',
+    fast: 'claude-haiku-4-5',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+  },
+  // Scripted offline replies (MOCK_SCRIPT, default config/mock-script.json); no key or network
+  mock: {
+    chat: 'mock',
+    fast: 'mock',
+  },
+};
+
+// Resolve provider settings from the environment. `purpose` is 'chat' (LLM_*) or 'validator'.
+// The validator shares the LLM_* connection unless VALIDATOR_PROVIDER points it elsewhere.
+function resolveLLMConfig(purpose = 'chat') {
+  const env = process.env;
+  const prefix = purpose === 'validator' && env.VALIDATOR_PROVIDER ? 'VALIDATOR' : 'LLM';
+
+  const provider = env[`${prefix}_PROVIDER`] || 'openai';
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  const model = purpose === 'validator' ? env.VALIDATOR_MODEL || defaults.fast : env.LLM_MODEL || defaults.chat;
+
+  return {
+    provider,
+    model,
+    // Cheaper model on the same provider, used for quick chat turns (see lib/modelRouter.js)
+    fastModel: env.LLM_FAST_MODEL || defaults.fast,
+    // Tried once on the same provider when the chosen model keeps failing
+    fallbackModel: purpose === 'chat' ? env.LLM_FALLBACK_MODEL : undefined,
+    baseURL: env[`${prefix}_BASE_URL`] || defaults.baseURL,
+    apiKey:
+      env[`${prefix}_API_KEY`] ||
+      (defaults.apiKeyEnv ? env[defaults.apiKeyEnv] : undefined) ||
+      // Local servers usually ignore the key, but the OpenAI client insists on one
+      (provider === 'openai-compatible' ? 'not-needed' : undefined),
+    ...(provider === 'mock' ? { scriptFile: env.MOCK_SCRIPT } : {}),
+  };
+}
+
+function createProvider({ provider, apiKey, baseURL, scriptFile }) {
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey, baseURL });
+    case 'openai-compatible':
+      // Many local servers reject stream_options, so usage is only read when they send it anyway
+      return new OpenAIProvider({ name: provider, apiKey, baseURL, streamUsage: false });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey, baseURL });
+    case 'mock':
+      return new MockProvider(scriptFile ? { scriptFile } : {});
+    default:
+      throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+}
+
+// One provider per distinct connection, wrapped with retries/timeouts. Sharing the instance
+// means chat and validator calls to the same upstream also share its circuit breaker.
+const providers = new Map();
+
+function getProvider(config) {
+  const key = `${config.provider}|${config.baseURL || ''}|${config.apiKey}|${config.scriptFile || ''}`;
+  if (!providers.has(key)) {
+    providers.set(key, new ResilientProvider(createProvider(config)));
+  }
+  return providers.get(key);
+}
+
+// Circuit-breaker state of every provider in use, for the status endpoints
+function getProviderHealth() {
+  return [...providers.values()].map(provider => provider.getHealth());
+}
+
+module.exports = {
+  resolveLLMConfig,
+  getProvider,
+  getProviderHealth,
+  PROVIDER_DEFAULTS,
+  ...errors,
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCRIPT_FILE = path.join(__dirname, '..', '..', 'config', 'mock-script.json');
+const DEFAULT_ANALYSIS = { relevant: true, responseLength: 'SHORT' };
+
+// Rough token estimate so usage numbers are plausible without a tokenizer
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Replace $1, $2 ... with regex capture groups, recursing into tool-call arguments
+function fillCaptures(value, captures) {
+  if (typeof value === 'string') {
+    return value.replace(/\$(\d+)/g, (whole, n) => (captures[n] !== undefined ? captures[n] : ''));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillCaptures(item, captures));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = fillCaptures(value[key], captures);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+// Split a reply into word-sized chunks, keeping the whitespace so they join back exactly
+function splitIntoChunks(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+// Offline stand-in for a real model, driven by a script file of pattern → response rules.
+// Each rule matches the latest user message and can reply, stream fixed chunks, call tools
+// (answered with `reply` once the tool results come back), answer the pre-flight check or fail.
+class MockProvider {
+  constructor({ scriptFile = DEFAULT_SCRIPT_FILE } = {}) {
+    this.name = 'mock';
+    this.scriptFile = path.resolve(scriptFile);
+    this.script = null;
+    this.loadedMtime = null;
+  }
+
+  // Reload when the file changes so a running server picks up script edits
+  getScript() {
+    const { mtimeMs } = fs.statSync(this.scriptFile);
+    if (!this.script || mtimeMs !== this.loadedMtime) {
+      const script = JSON.parse(fs.readFileSync(this.scriptFile, 'utf8'));
+      if (!Array.isArray(script.rules)) {
+        throw new Error(`Invalid mock script ${this.scriptFile}: "rules" must be an array`);
+      }
+      this.script = script;
+      this.loadedMtime = mtimeMs;
+    }
+    return this.script;
+  }
+
+  // First rule whose pattern matches the message, with its captures filled in
+  findRule(message, predicate = () => true) {
+    const script = this.getScript();
+    for (const rule of script.rules) {
+      if (!predicate(rule)) {
+        continue;
+      }
+      // Case-insensitive unless the rule sets its own flags, e.g. "" when case carries meaning
+      const match = rule.match
+        ? new RegExp(rule.match, rule.flags !== undefined ? rule.flags : 'i').exec(message)
+        : [message];
+      if (match) {
+        return fillCaptures(rule, match);
+      }
+    }
+    return script.fallback ? fillCaptures(script.fallback, [message]) : { reply: '' };
+  }
+
+  async respond({ model, messages, responseFormat, toolChoice }) {
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    const message = lastUserIndex >= 0 ? messages[lastUserIndex].content || '' : '';
+    const prompt = messages.map(m => m.content || '').join('\n');
+    const usage = (content, extra = '') => {
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(content + extra);
+      return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    };
+
+    // The pre-flight check asks for JSON; answer it from the first rule that scripts an analysis
+    if (responseFormat === 'json') {
+      const rule = this.findRule(message, r => r.analysis || r.error);
+      await this.simulateLatency(rule);
+      if (rule.error) {
+        throw this.createError(rule.error);
+      }
+      const content = JSON.stringify(rule.analysis || this.getScript().analysis || DEFAULT_ANALYSIS);
+      return { content, toolCalls: [], finishReason: 'stop', usage: usage(content), model };
+    }
+
+    const rule = this.findRule(message);
+    await this.simulateLatency(rule);
+    if (rule.error) {
+      throw this.createError(rule.error);
+    }
+
+    // Tool calls go out once per user turn (or `toolRounds` times); after that the rule's reply is used
+    const toolRounds = messages.slice(lastUserIndex + 1).filter(m => m.tool_calls).length;
+    if (rule.toolCalls?.length && toolRounds < (rule.toolRounds || 1) && toolChoice !== 'none') {
+      const toolCalls = rule.toolCalls.map((tc, i) => ({
+        id: `call_mock_${lastUserIndex}_${toolRounds}_${i}`,
+        type: 'function',
+        function: {
+          name: tc.name,
+          arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments || {}),
+        },
+      }));
+      const argumentsText = toolCalls.map(tc => tc.function.arguments).join('');
+      return { content: '', toolCalls, finishReason: 'tool_calls', usage: usage('', argumentsText), model };
+    }
+
+    const content = rule.chunks ? rule.chunks.join('') : rule.reply || '';
+    return {
+      content,
+      chunks: rule.chunks || splitIntoChunks(content),
+      toolCalls: [],
+      finishReason: 'stop',
+      usage: usage(content),
+      model,
+    };
+  }
+
+  // `delayMs` on a rule makes it slow, e.g. to exercise timeouts
+  simulateLatency(rule) {
+    return rule.delayMs ? new Promise(resolve => setTimeout(resolve, rule.delayMs)) : Promise.resolve();
+  }
+
+  // Scripted failures look like SDK errors (message + HTTP status) so error handling can be exercised
+  createError({ status = 500, message = 'Mock provider error' } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  async chat(params) {
+    const response = await this.respond(params);
+    delete response.chunks;
+    return response;
+  }
+
+  async *stream(params) {
+    const { chunks = [], ...response } = await this.respond(params);
+    for (const text of chunks) {
+      yield { type: 'content', text };
+    }
+    yield { type: 'done', ...response };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,140 @@
+const OpenAI = require('openai');
+
+// Map a tool-call list to the OpenAI shape handleToolCall expects, filling gaps that
+// some OpenAI-compatible servers leave (missing ids, missing type)
+function normalizeToolCalls(toolCalls = []) {
+  return toolCalls.filter(Boolean).map((tc, i) => ({
+    id: tc.id || `call_${Date.now()}_${i}`,
+    type: 'function',
+    function: {
+      name: tc.function?.name || '',
+      arguments: tc.function?.arguments || '{}',
+    },
+  }));
+}
+
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+  };
+}
+
+// Local servers (llama.cpp, older Ollama) sometimes report "stop" even when they emitted tool calls
+function normalizeFinishReason(finishReason, toolCalls) {
+  if (toolCalls.length > 0) {
+    return 'tool_calls';
+  }
+  return finishReason === 'length' ? 'length' : 'stop';
+}
+
+// Adapter for the OpenAI API and OpenAI-compatible servers (Ollama, llama.cpp, vLLM, ...)
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, streamUsage = true }) {
+    this.name = name;
+    this.streamUsage = streamUsage;
+    // Retries and timeouts are handled by ResilientProvider
+    this.client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  buildRequest({ model, messages, tools, toolChoice, temperature, maxTokens, responseFormat }) {
+    return {
+      model,
+      messages,
+      ...(tools?.length ? { tools } : {}),
+      ...(tools?.length && toolChoice ? { tool_choice: toolChoice } : {}),
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {}),
+    };
+  }
+
+  async chat(params) {
+    const response = await this.client.chat.completions.create(this.buildRequest(params), { signal: params.signal });
+    const choice = response.choices[0];
+    const toolCalls = normalizeToolCalls(choice.message.tool_calls);
+    const content = choice.message.content || '';
+
+    return {
+      content,
+      toolCalls,
+      finishReason: normalizeFinishReason(choice.finish_reason, toolCalls),
+      usage: normalizeUsage(response.usage),
+      model: response.model || params.model,
+    };
+  }
+
+  // Yields { type: 'content', text } per token, then one { type: 'done', ... } with assembled tool calls
+  async *stream(params) {
+    const stream = await this.client.chat.completions.create(
+      {
+        ...this.buildRequest(params),
+        stream: true,
+        ...(this.streamUsage ? { stream_options: { include_usage: true } } : {}),
+      },
+      { signal: params.signal }
+    );
+
+    const pendingToolCalls = [];
+    let finishReason = null;
+    let content = '';
+    let usage = null;
+    let model = params.model;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      model = chunk.model || model;
+
+      const delta = chunk.choices?.[0]?.delta;
+      finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+
+      if (delta?.content) {
+        content += delta.content;
+        yield { type: 'content', text: delta.content };
+      }
+
+      if (delta?.tool_calls) {
+        for (const tc of delta.tool_calls) {
+          // Some servers omit index; a new id means a new call, otherwise continue the last one
+          const idx =
+            tc.index !== undefined
+              ? tc.index
+              : tc.id || pendingToolCalls.length === 0
+                ? pendingToolCalls.length
+                : pendingToolCalls.length - 1;
+          if (!pendingToolCalls[idx]) {
+            pendingToolCalls[idx] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+          }
+          if (tc.id) {
+            pendingToolCalls[idx].id = tc.id;
+          }
+          if (tc.function?.name) {
+            pendingToolCalls[idx].function.name += tc.function.name;
+          }
+          if (tc.function?.arguments) {
+            pendingToolCalls[idx].function.arguments += tc.function.arguments;
+          }
+        }
+      }
+    }
+
+    const toolCalls = normalizeToolCalls(pendingToolCalls);
+
+    yield {
+      type: 'done',
+      content,
+      toolCalls,
+      finishReason: normalizeFinishReason(finishReason, toolCalls),
+      usage: normalizeUsage(usage),
+      model,
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,241 @@
+const { LLMTimeoutError, CircuitOpenError, classifyError } = require('./errors');
+
+const DEFAULTS = {
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 20000,
+  maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+  backoffBaseMs: 500,
+  backoffMaxMs: 8000,
+  breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000,
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter (50–100% of the step) so retries from parallel requests spread out.
+// An upstream Retry-After is waited out in full when it is longer, never cut short; run() gives up
+// instead when it is longer than the request timeout.
+function backoffDelay(attempt, error, { backoffBaseMs, backoffMaxMs }) {
+  const step = Math.min(backoffMaxMs, backoffBaseMs * 2 ** attempt);
+  const jittered = step * (0.5 + Math.random() / 2);
+  return Math.max(jittered, error.retryAfterMs || 0);
+}
+
+// Reject with LLMTimeoutError (and abort the request) if `promise` takes longer than timeoutMs
+function withTimeout(promise, timeoutMs, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMTimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Opens after `threshold` consecutive failed calls; after the cooldown one trial call is let through
+class CircuitBreaker {
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  // Throws CircuitOpenError while open, and while another call is already the trial one
+  check() {
+    if (this.openedAt === null) {
+      return;
+    }
+    const remaining = this.openedAt + this.cooldownMs - Date.now();
+    if (remaining > 0) {
+      throw new CircuitOpenError(remaining);
+    }
+    if (this.probing) {
+      throw new CircuitOpenError(null);
+    }
+    // Half-open: this call is the trial; success() closes the circuit, failure() re-opens it
+    this.probing = true;
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    if (this.probing) {
+      this.probing = false;
+      this.openedAt = Date.now();
+      console.error('🔌 LLM circuit breaker re-opened after its trial call failed');
+    } else if (this.failures >= this.threshold && this.openedAt === null) {
+      this.openedAt = Date.now();
+      console.error(`🔌 LLM circuit breaker opened after ${this.failures} consecutive failures`);
+    }
+  }
+
+  // The trial call ended in neither (e.g. a bad request): the next call after it becomes the trial
+  release() {
+    this.probing = false;
+  }
+
+  getState() {
+    if (this.openedAt === null) {
+      return { state: 'closed', failures: this.failures };
+    }
+    return {
+      state: this.probing ? 'half-open' : 'open',
+      failures: this.failures,
+      retryInMs: Math.max(0, this.openedAt + this.cooldownMs - Date.now()),
+    };
+  }
+}
+
+// Wraps a provider with per-call timeouts, retries on 429/5xx/timeouts, an optional fallback model
+// (also tried when the model itself is refused) and a circuit breaker. Per-call overrides:
+// timeoutMs, maxRetries, fallbackModel.
+class ResilientProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.options = { ...DEFAULTS, ...options };
+    this.breaker = new CircuitBreaker({
+      threshold: this.options.breakerThreshold,
+      cooldownMs: this.options.breakerCooldownMs,
+    });
+  }
+
+  // Models to try in order: the requested one, then the fallback if configured
+  getAttemptPlan(params) {
+    const maxRetries = params.maxRetries !== undefined ? params.maxRetries : this.options.maxRetries;
+    const plan = [];
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      plan.push({ model: params.model, attempt });
+    }
+    if (params.fallbackModel && params.fallbackModel !== params.model) {
+      plan.push({ model: params.fallbackModel, attempt: 0, fallback: true });
+    }
+    return plan;
+  }
+
+  // Strip the resilience options before handing params to the provider
+  providerParams(params, model, signal) {
+    const rest = { ...params };
+    delete rest.timeoutMs;
+    delete rest.maxRetries;
+    delete rest.fallbackModel;
+    return { ...rest, model, signal };
+  }
+
+  // Run `call(model, timeoutMs)` through the retry plan and the breaker
+  async run(params, call) {
+    this.breaker.check();
+
+    const timeoutMs = params.timeoutMs || this.options.timeoutMs;
+    const plan = this.getAttemptPlan(params);
+    let lastError = null;
+
+    for (let i = 0; i < plan.length; i++) {
+      const { model, attempt, fallback } = plan[i];
+      if (fallback) {
+        console.warn(`↪️ Falling back to ${model} after ${lastError.code} on ${params.model}`);
+      } else if (attempt > 0) {
+        const delay = backoffDelay(attempt - 1, lastError, this.options);
+        // Waiting out a Retry-After longer than the request may take is pointless, and retrying
+        // sooner would only be refused again
+        if (delay > timeoutMs) {
+          const fallbackAt = plan.findIndex((step, j) => j > i && step.fallback);
+          if (fallbackAt === -1) {
+            break;
+          }
+          i = fallbackAt - 1;
+          continue;
+        }
+        console.warn(
+          `🔁 Retrying ${model} in ${Math.round(delay)}ms after ${lastError.code} (${attempt}/${plan.length - 1})`
+        );
+        await sleep(delay);
+      }
+
+      try {
+        const result = await call(model, timeoutMs);
+        this.breaker.success();
+        return result;
+      } catch (error) {
+        lastError = classifyError(error);
+        // Bad requests and bad credentials fail the same way every time, but a model that was
+        // refused (e.g. 404 model not found) is exactly when the fallback model should be tried
+        if (!lastError.retryable) {
+          const fallbackAt = lastError.modelRejected ? plan.findIndex((step, j) => j > i && step.fallback) : -1;
+          if (fallbackAt === -1) {
+            break;
+          }
+          i = fallbackAt - 1;
+        }
+      }
+    }
+
+    if (lastError.retryable) {
+      this.breaker.failure();
+    } else {
+      this.breaker.release();
+    }
+    throw lastError;
+  }
+
+  chat(params) {
+    return this.run(params, (model, timeoutMs) => {
+      const controller = new AbortController();
+      return withTimeout(
+        this.provider.chat(this.providerParams(params, model, controller.signal)),
+        timeoutMs,
+        controller
+      );
+    });
+  }
+
+  // Each event must arrive within timeoutMs. Retries only happen before the first event is
+  // yielded — once text has reached the visitor, a failure is surfaced instead of replayed.
+  async *stream(params) {
+    let active = null;
+    let first = null;
+
+    const model = await this.run(params, async (attemptModel, timeoutMs) => {
+      const controller = new AbortController();
+      const iterator = this.provider.stream(this.providerParams(params, attemptModel, controller.signal));
+      try {
+        first = await withTimeout(iterator.next(), timeoutMs, controller);
+      } catch (error) {
+        iterator.return?.().catch(() => {});
+        throw error;
+      }
+      active = { iterator, controller };
+      return attemptModel;
+    });
+
+    const timeoutMs = params.timeoutMs || this.options.timeoutMs;
+    let next = first;
+    try {
+      while (!next.done) {
+        yield next.value;
+        next = await withTimeout(active.iterator.next(), timeoutMs, active.controller);
+      }
+    } catch (error) {
+      active.iterator.return?.().catch(() => {});
+      const typed = classifyError(error);
+      if (typed.retryable) {
+        this.breaker.failure();
+      }
+      console.error(`❌ Stream from ${model} failed mid-response: ${typed.code}`);
+      throw typed;
+    }
+  }
+
+  getHealth() {
+    return { provider: this.name, ...this.breaker.getState() };
+  }
+}
+
+module.exports = ResilientProvider;
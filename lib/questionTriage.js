@@ -0,0 +1,99 @@
+const QuestionGroup = require('../models/QuestionGroup');
+const database = require('../models/database');
+const { DEFAULT_TENANT_ID, tenantFilter } = require('../models/tenantScope');
+const { tokenize } = require('./knowledgeBase');
+
+// Questions whose key terms overlap at least this much (Jaccard) land in the same group
+const GROUP_SIMILARITY = 0.5;
+// Share of an answered question's key terms that must appear in a message to inject its answer
+const ANSWER_MATCH = 0.6;
+const ANSWER_CACHE_TTL_MS = 60 * 1000;
+
+// Key terms for matching. Truncating to a 6-character prefix is a crude stem that
+// folds "expected"/"expectation", "relocate"/"relocation" and the like together.
+function questionTerms(text) {
+  return [...new Set(tokenize(text || '').map(token => token.slice(0, 6)))];
+}
+
+function jaccard(a, b) {
+  if (!a.length || !b.length) {
+    return 0;
+  }
+  const setB = new Set(b);
+  const shared = a.filter(term => setB.has(term)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+// Answered groups per tenant, cached briefly so prompts don't hit Mongo on every turn
+const answerCache = new Map();
+
+function invalidateAnswerCache(tenantId = DEFAULT_TENANT_ID) {
+  answerCache.delete(tenantId);
+}
+
+// File an unknown question into the closest open/answered/ignored group, or start a new one
+async function addToTriage(question, { tenantId = DEFAULT_TENANT_ID, toolCallId, sessionId, userId, askedAt } = {}) {
+  if (!question || !database.isConnectionReady()) {
+    return null;
+  }
+
+  const terms = questionTerms(question);
+  const candidates = await QuestionGroup.find(tenantFilter(tenantId), { terms: 1 }).lean();
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const score = jaccard(terms, candidate.terms || []);
+    if (score >= GROUP_SIMILARITY && (!best || score > best.score)) {
+      best = { id: candidate._id, score };
+    }
+  });
+
+  const group = best
+    ? await QuestionGroup.findById(best.id)
+    : new QuestionGroup({ tenantId, canonicalQuestion: question.trim().slice(0, 1000), terms });
+
+  group.addOccurrence({ question, toolCallId, sessionId, userId, askedAt });
+  await group.save();
+
+  console.log(`📥 Unknown question filed in ${best ? 'existing' : 'new'} group ${group._id}`);
+  return group;
+}
+
+// Answers the owner has written for questions like this message, best match first
+async function findAnswersFor(message, tenantId = DEFAULT_TENANT_ID, limit = 3) {
+  if (!database.isConnectionReady()) {
+    return [];
+  }
+
+  let cached = answerCache.get(tenantId);
+  if (!cached || cached.expiresAt < Date.now()) {
+    cached = { groups: await QuestionGroup.getAnswered(tenantId), expiresAt: Date.now() + ANSWER_CACHE_TTL_MS };
+    answerCache.set(tenantId, cached);
+  }
+
+  const messageTerms = new Set(questionTerms(message));
+  if (messageTerms.size === 0) {
+    return [];
+  }
+
+  return cached.groups
+    .map(group => {
+      const terms = group.terms || [];
+      const matched = terms.filter(term => messageTerms.has(term)).length;
+      return {
+        question: group.canonicalQuestion,
+        answer: group.answer,
+        score: terms.length ? matched / terms.length : 0,
+      };
+    })
+    .filter(match => match.score >= ANSWER_MATCH)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  addToTriage,
+  findAnswersFor,
+  invalidateAnswerCache,
+  questionTerms,
+};
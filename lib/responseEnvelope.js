@@ -0,0 +1,133 @@
+// The typed payload a chat turn returns to the widget: the reply split into `blocks` the
+// frontend renders (text, link, card, contact button) plus a few `suggestedReplies`.
+//
+// Blocks:
+//   { type: 'text', text }
+//   { type: 'link', kind: 'web' | 'resume' | 'meeting_invite', label, url, ...details }
+//   { type: 'card', kind: 'project', project }
+//   { type: 'contact', label, url }
+
+const MAX_SUGGESTED_REPLIES = 3;
+const MAX_TEXT_LINKS = 3;
+const LINK_PATTERN = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|https?:\/\/[^\s<>()[\]]+/g;
+
+// A clickable URL for a persona contact entry; null for values like a phone number or city
+function contactUrl(contact) {
+  const value = (contact.value || '').trim();
+  if (/^https?:\/\//i.test(value)) {
+    return value;
+  }
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? `mailto:${value}` : null;
+}
+
+// Markdown links and bare URLs in the reply, in order of appearance
+function linksInText(text) {
+  return [...(text || '').matchAll(LINK_PATTERN)].map(match => {
+    const url = match[2] || match[0].replace(/[.,!?;:'"]+$/, '');
+    return { url, label: match[1] || url.replace(/^https?:\/\//, '').replace(/\/$/, '') };
+  });
+}
+
+// Whether `text` contains `value` as a whole link or address, not as the start of a longer URL
+function mentions(text, value) {
+  const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return Boolean(escaped) && new RegExp(`(^|[^\\w./-])${escaped}(?![\\w/-])`, 'i').test(text || '');
+}
+
+// Links and cards produced by this turn's tool calls
+function toolBlocks(toolOutputs) {
+  const blocks = [];
+  const seenProjects = new Set();
+
+  toolOutputs.forEach(({ type, data }) => {
+    if (type === 'project_search' && Array.isArray(data.projects)) {
+      data.projects
+        .filter(project => !seenProjects.has(project.id) && seenProjects.add(project.id))
+        .forEach(project => blocks.push({ type: 'card', kind: 'project', project }));
+    } else if (type === 'meeting_request' && data.booked === 'ok') {
+      blocks.push({
+        type: 'link',
+        kind: 'meeting_invite',
+        label: 'Add to calendar',
+        url: data.inviteUrl,
+        meeting: { id: data.meetingId, status: data.status, when: data.when, timezone: data.timezone },
+      });
+    } else if (type === 'resume_share' && data.shared === 'ok') {
+      blocks.push({ type: 'link', kind: 'resume', label: 'Download resume', url: data.url, expiresAt: data.expiresAt });
+    }
+  });
+
+  // Cards first, then links, whatever order the tools ran in
+  return [...blocks.filter(b => b.type === 'card'), ...blocks.filter(b => b.type === 'link')];
+}
+
+// Contact buttons for channels the reply mentions; after an unanswered question, the first
+// contact channel so the visitor can ask directly
+function contactBlocks(content, contacts, toolOutputs) {
+  const reachable = contacts.map(contact => ({ label: contact.label, url: contactUrl(contact), value: contact.value }));
+  const mentioned = reachable.filter(c => c.url && mentions(content, c.value));
+  const unanswered = toolOutputs.some(o => o.type === 'unknown_question');
+  const chosen = mentioned.length === 0 && unanswered ? reachable.filter(c => c.url).slice(0, 1) : mentioned;
+
+  return chosen.map(({ label, url }) => ({ type: 'contact', label, url }));
+}
+
+function buildBlocks({ content, toolOutputs = [], contacts = [] }) {
+  const fromTools = toolBlocks(toolOutputs);
+  const buttons = contactBlocks(content, contacts, toolOutputs);
+
+  // Bare links in the text, minus the ones already shown as a button or tool link
+  const taken = new Set([...fromTools, ...buttons].map(block => block.url).filter(Boolean));
+  const textLinks = linksInText(content)
+    .filter(link => !taken.has(link.url) && taken.add(link.url))
+    .slice(0, MAX_TEXT_LINKS)
+    .map(link => ({ type: 'link', kind: 'web', label: link.label, url: link.url }));
+
+  return [...(content ? [{ type: 'text', text: content }] : []), ...fromTools, ...textLinks, ...buttons];
+}
+
+function normalizeReply(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .trim();
+}
+
+// Next things the visitor might say: picking an offered slot, digging into a project card,
+// else conversation starters they haven't used yet
+function suggestReplies({ toolOutputs = [], starters = [], askedMessages = [] }) {
+  const contextual = [];
+
+  const proposal = [...toolOutputs].reverse().find(o => o.type === 'meeting_proposal' && o.data.slots?.length);
+  if (proposal) {
+    contextual.push(...proposal.data.slots.slice(0, MAX_SUGGESTED_REPLIES).map(slot => `${slot.label} works for me`));
+  }
+
+  const projects = toolBlocks(toolOutputs).filter(block => block.type === 'card');
+  contextual.push(...projects.slice(0, 2).map(({ project }) => `Tell me more about ${project.name}`));
+
+  const asked = new Set(askedMessages.filter(Boolean).map(normalizeReply));
+  const suggestions = [];
+  [...contextual, ...starters].forEach(reply => {
+    const key = normalizeReply(reply);
+    if (!asked.has(key) && !suggestions.some(s => normalizeReply(s) === key)) {
+      suggestions.push(reply);
+    }
+  });
+
+  return suggestions.slice(0, MAX_SUGGESTED_REPLIES);
+}
+
+// `blocks` and `suggestedReplies` for one turn
+function buildEnvelope({ content, toolOutputs = [], contacts = [], starters = [], askedMessages = [] }) {
+  return {
+    blocks: buildBlocks({ content, toolOutputs, contacts }),
+    suggestedReplies: suggestReplies({ toolOutputs, starters, askedMessages }),
+  };
+}
+
+module.exports = {
+  buildEnvelope,
+  buildBlocks,
+  suggestReplies,
+};
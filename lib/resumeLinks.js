@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_TTL_HOURS = 24;
+
+// Resume download links are "<payload>.<signature>": a base64url JSON payload
+// { u: userId, t: tenantId, l: linkId, e: expiry in epoch seconds } and its HMAC-SHA256
+// under RESUME_LINK_SECRET. Nothing is stored per link; the signature is the proof.
+
+function getSecret() {
+  return process.env.RESUME_LINK_SECRET || null;
+}
+
+function getTtlMs() {
+  return (parseFloat(process.env.RESUME_LINK_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+function sign(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+// A signed token for `userId`; null when no secret is configured
+function createResumeToken({ userId, tenantId, now = Date.now() }) {
+  const secret = getSecret();
+  if (!secret) {
+    return null;
+  }
+
+  const linkId = crypto.randomBytes(8).toString('hex');
+  const expiresAt = new Date(now + getTtlMs());
+  const payload = Buffer.from(
+    JSON.stringify({ u: String(userId), t: tenantId, l: linkId, e: Math.floor(expiresAt.getTime() / 1000) })
+  ).toString('base64url');
+
+  return { token: `${payload}.${sign(payload, secret)}`, linkId, expiresAt };
+}
+
+// { userId, tenantId, linkId, expiresAt } for a valid token, or { error: 'invalid' | 'expired' }
+function verifyResumeToken(token, now = Date.now()) {
+  const secret = getSecret();
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!secret || !payload || !signature || rest.length > 0) {
+    return { error: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { error: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'invalid' };
+  }
+  if (!claims.u || !claims.l || !Number.isFinite(claims.e)) {
+    return { error: 'invalid' };
+  }
+  if (claims.e * 1000 <= now) {
+    return { error: 'expired' };
+  }
+
+  return { userId: claims.u, tenantId: claims.t, linkId: claims.l, expiresAt: new Date(claims.e * 1000) };
+}
+
+// The tenant's resume PDF, or null when none is configured or the file is missing. No fallback
+// to RESUME_FILE here: that only applies to the single-owner tenant built from the environment.
+function getResumeFile(tenant) {
+  const filePath = tenant?.resumeFile;
+  return filePath && fs.existsSync(filePath) ? filePath : null;
+}
+
+// Absolute when PUBLIC_BASE_URL is set, so the link works when pasted outside the widget
+function resumeUrl(token) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  return `${base}/api/resume/${token}`;
+}
+
+module.exports = {
+  createResumeToken,
+  verifyResumeToken,
+  getResumeFile,
+  resumeUrl,
+};
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const Meeting = require('../models/Meeting');
+const database = require('../models/database');
+const { loadJsonConfig, instancePerPath } = require('../utils/configFile');
+const {
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  formatInZone,
+  dateKeyInZone,
+  parseIcs,
+  buildIcsInvite,
+} = require('./calendar');
+
+const DEFAULT_AVAILABILITY_FILE = path.join(__dirname, '..', 'config', 'availability.json');
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+// Spread proposals over several days instead of offering one afternoon
+const MAX_SLOTS_PER_DAY = 3;
+
+const DEFAULTS = {
+  slotMinutes: 30,
+  defaultDurationMinutes: 30,
+  minNoticeHours: 12,
+  horizonDays: 14,
+  icsMode: 'busy',
+  visitorHours: '08:00-21:00',
+};
+
+function validateAvailability(config) {
+  const errors = [];
+
+  if (!isValidTimeZone(config.timezone)) {
+    errors.push('timezone must be an IANA time zone such as "Asia/Kolkata"');
+  }
+  // A zero step would never advance through a window
+  ['slotMinutes', 'defaultDurationMinutes'].forEach(field => {
+    if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] <= 0)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  });
+  ['minNoticeHours', 'horizonDays'].forEach(field => {
+    if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+  if (!['busy', 'free'].includes(config.icsMode || DEFAULTS.icsMode)) {
+    errors.push('icsMode must be "busy" or "free"');
+  }
+  if (!HOURS_PATTERN.test(config.visitorHours || DEFAULTS.visitorHours)) {
+    errors.push('visitorHours must be a "HH:MM-HH:MM" range');
+  }
+  // Only a calendar of free windows replaces weeklyHours; a busy calendar just blocks them
+  if (!config.weeklyHours && !(config.icsFile && (config.icsMode || DEFAULTS.icsMode) === 'free')) {
+    errors.push('weeklyHours is required unless icsFile is used with "icsMode": "free"');
+  }
+  Object.entries(config.weeklyHours || {}).forEach(([day, ranges]) => {
+    if (!DAY_NAMES.includes(day)) {
+      errors.push(`weeklyHours: unknown day "${day}" (use ${DAY_NAMES.join(', ')})`);
+    } else if (!Array.isArray(ranges) || !ranges.every(range => HOURS_PATTERN.test(range))) {
+      errors.push(`weeklyHours.${day} must be a list of "HH:MM-HH:MM" ranges`);
+    }
+  });
+
+  return errors;
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Open slots from the owner's availability file: weekly hours (in the owner's time zone) or an
+// .ics calendar, minus calendar events (icsMode "busy") and meetings already requested.
+class Scheduler {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.events = null;
+    this.eventsMtime = null;
+  }
+
+  // Reload when the file changes; a broken edit throws so it's caught at the tool boundary
+  getConfig() {
+    return loadJsonConfig(this.filePath, {
+      label: 'availability file',
+      validate: validateAvailability,
+      defaults: DEFAULTS,
+    });
+  }
+
+  // Events from the configured .ics file (relative to the availability file)
+  getCalendarEvents(config) {
+    if (!config.icsFile) {
+      return [];
+    }
+    const icsPath = path.resolve(path.dirname(this.filePath), config.icsFile);
+    const { mtimeMs } = fs.statSync(icsPath);
+    if (!this.events || mtimeMs !== this.eventsMtime) {
+      this.events = parseIcs(fs.readFileSync(icsPath, 'utf8'), config.timezone);
+      this.eventsMtime = mtimeMs;
+    }
+    return this.events;
+  }
+
+  // Windows the owner is available in between `from` and `to`
+  getOpenWindows(config, from, to) {
+    if (config.icsFile && config.icsMode === 'free') {
+      return this.getCalendarEvents(config).filter(event => overlaps(event, { start: from, end: to }));
+    }
+
+    const windows = [];
+    const seenDays = new Set();
+    for (let offset = 0; offset <= config.horizonDays; offset++) {
+      const day = zonedParts(new Date(from.getTime() + offset * 24 * 60 * 60 * 1000), config.timezone);
+      const key = `${day.year}-${day.month}-${day.day}`;
+      if (seenDays.has(key)) {
+        continue;
+      }
+      seenDays.add(key);
+
+      (config.weeklyHours[day.weekday] || []).forEach(range => {
+        const [, startHour, startMinute, endHour, endMinute] = HOURS_PATTERN.exec(range);
+        const date = { year: day.year, month: day.month, day: day.day };
+        windows.push({
+          start: zonedTimeToDate({ ...date, hour: Number(startHour), minute: Number(startMinute) }, config.timezone),
+          end: zonedTimeToDate({ ...date, hour: Number(endHour), minute: Number(endMinute) }, config.timezone),
+        });
+      });
+    }
+    return windows;
+  }
+
+  async getBusy(config, from, to, tenantId) {
+    const busy = config.icsMode === 'busy' ? this.getCalendarEvents(config) : [];
+    const meetings = database.isConnectionReady() ? await Meeting.findBusy(tenantId, from, to) : [];
+    return [...busy, ...meetings];
+  }
+
+  // Open slots of `durationMinutes`, earliest first. `date` (YYYY-MM-DD in `timeZone`) narrows
+  // them to one day of the visitor's calendar. Slots inside the visitor's waking hours
+  // (`visitorHours`) are preferred; if there are none, any open slot is offered.
+  async findSlots({ durationMinutes, timeZone, date = null, limit = 6, tenantId }) {
+    const config = this.getConfig();
+    const duration = (durationMinutes || config.defaultDurationMinutes) * 60 * 1000;
+    const earliest = new Date(Date.now() + config.minNoticeHours * 60 * 60 * 1000);
+    const latest = new Date(Date.now() + (config.horizonDays + 1) * 24 * 60 * 60 * 1000);
+
+    const busy = await this.getBusy(config, earliest, latest, tenantId);
+    const windows = this.getOpenWindows(config, earliest, latest).sort((a, b) => a.start - b.start);
+    const [, fromHour, fromMinute, toHour, toMinute] = HOURS_PATTERN.exec(config.visitorHours);
+
+    const inVisitorHours = slot => {
+      const startParts = zonedParts(slot.start, timeZone);
+      const endParts = zonedParts(slot.end, timeZone);
+      const startMinutes = startParts.hour * 60 + startParts.minute;
+      const endMinutes = endParts.hour * 60 + endParts.minute;
+      return (
+        startMinutes >= Number(fromHour) * 60 + Number(fromMinute) &&
+        endMinutes <= Number(toHour) * 60 + Number(toMinute) &&
+        endMinutes > startMinutes
+      );
+    };
+
+    const collect = preferred => {
+      const perDay = {};
+      const slots = [];
+      for (const window of windows) {
+        for (let t = window.start.getTime(); t + duration <= window.end.getTime(); t += config.slotMinutes * 60000) {
+          const slot = { start: new Date(t), end: new Date(t + duration) };
+          const dayKey = dateKeyInZone(slot.start, timeZone);
+          if (
+            slot.start < earliest ||
+            slot.end > latest ||
+            (date && dayKey !== date) ||
+            (perDay[dayKey] || 0) >= (date ? limit : MAX_SLOTS_PER_DAY) ||
+            (preferred && !preferred(slot)) ||
+            busy.some(b => overlaps(slot, b))
+          ) {
+            continue;
+          }
+          perDay[dayKey] = (perDay[dayKey] || 0) + 1;
+          slots.push(slot);
+          if (slots.length >= limit) {
+            return slots;
+          }
+        }
+      }
+      return slots;
+    };
+
+    const preferred = collect(inVisitorHours);
+    return preferred.length > 0 ? preferred : collect(null);
+  }
+
+  // Whether a slot starting at `start` is still open (any step in the owner's windows, no clash)
+  async isSlotOpen(start, durationMinutes, tenantId) {
+    const config = this.getConfig();
+    const slot = { start, end: new Date(start.getTime() + durationMinutes * 60 * 1000) };
+    const earliest = new Date(Date.now() + config.minNoticeHours * 60 * 60 * 1000);
+    const latest = new Date(Date.now() + (config.horizonDays + 1) * 24 * 60 * 60 * 1000);
+    if (slot.start < earliest || slot.end > latest) {
+      return false;
+    }
+
+    const insideWindow = this.getOpenWindows(config, earliest, latest).some(
+      window =>
+        slot.start >= window.start &&
+        slot.end <= window.end &&
+        (slot.start - window.start) % (config.slotMinutes * 60000) === 0
+    );
+    if (!insideWindow) {
+      return false;
+    }
+    const busy = await this.getBusy(config, slot.start, slot.end, tenantId);
+    return !busy.some(b => overlaps(slot, b));
+  }
+
+  label(slot, timeZone) {
+    return formatInZone(slot.start, timeZone);
+  }
+
+  // The .ics invite for a meeting request, tentative until the owner confirms
+  buildInvite(meeting, ownerName) {
+    const config = this.getConfig();
+    const statuses = { pending: 'TENTATIVE', confirmed: 'CONFIRMED', declined: 'CANCELLED' };
+    return buildIcsInvite({
+      uid: `${meeting._id}@meetings`,
+      start: meeting.start,
+      end: meeting.end,
+      summary: `${meeting.name || 'Visitor'} <> ${ownerName}`,
+      description: [meeting.topic, meeting.ownerNote].filter(Boolean).join('\n\n'),
+      location: config.meetingLink,
+      status: statuses[meeting.status],
+      sequence: meeting.sequence,
+      organizer: config.ownerEmail ? { name: ownerName, email: config.ownerEmail } : null,
+      attendee: { name: meeting.name, email: meeting.email },
+    });
+  }
+}
+
+// One Scheduler per availability file, shared across requests
+const schedulers = instancePerPath(filePath => new Scheduler(filePath));
+
+function getScheduler(filePath = process.env.AVAILABILITY_FILE || DEFAULT_AVAILABILITY_FILE) {
+  return schedulers(filePath);
+}
+
+module.exports = {
+  getScheduler,
+  validateAvailability,
+};
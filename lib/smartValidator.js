@@ -1,17 +1,24 @@
-const OpenAI = require('openai');
+const { getProvider, resolveLLMConfig } = require('./providers');
+const { getPersona } = require('./persona');
 
 class SmartValidator {
-  constructor() {
-    this.user = process.env.USER_NAME;
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  constructor({ personaFile } = {}) {
+    this.persona = getPersona(personaFile);
+    const llmConfig = resolveLLMConfig('validator');
+    this.llm = getProvider(llmConfig);
+    this.model = llmConfig.model;
   }
 
-  async analyzeQuestion(userMessage) {
+  get user() {
+    return this.persona.getName();
+  }
+
+  // usage: optional UsageMeter the classification call is recorded on
+  async analyzeQuestion(userMessage, usage = null) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.llm.chat({
+        model: this.model,
+        responseFormat: 'json',
         messages: [
           {
             role: 'system',
@@ -64,14 +71,23 @@ Examples:
           },
         ],
         temperature: 0.1,
-        max_tokens: 50,
+        maxTokens: 50,
+        // Pre-flight sits in front of every turn, so give up early and fall back to the defaults below
+        timeoutMs: 8000,
+        maxRetries: 1,
       });
 
-      const result = response.choices[0].message.content.trim();
-      const analysis = JSON.parse(result);
+      if (usage) {
+        usage.record('validator', response.model, response.usage);
+      }
+
+      // Some models wrap JSON in prose or code fences; take the object itself
+      const result = response.content.trim();
+      const analysis = JSON.parse(result.slice(result.indexOf('{'), result.lastIndexOf('}') + 1));
 
       return {
-        isRelevant: analysis.relevant,
+        // Only an explicit "not relevant" redirects; a verdict missing the key fails open
+        isRelevant: analysis.relevant !== false && analysis.relevant !== 'false',
         needsDetailedResponse: analysis.responseLength === 'DETAILED',
       };
     } catch (error) {
@@ -85,11 +101,12 @@ Examples:
   }
 
   generateRedirectResponse(userMessage) {
+    const currentCompany = this.persona.getCurrentCompany();
     const redirectResponses = [
       "Hey! I'm here to chat about my work, experience, and tech journey. What would you like to know about my professional background? 😊",
       "That's an interesting question, but I'm focused on discussing my career and projects. Got any questions about my work or tech experience?",
       "I'm more of a portfolio assistant than a general knowledge bot! Want to know about my coding experience, projects, or career instead?",
-      "Let's keep it about my professional stuff! Ask me about my work at Calo, my tech stack, or any of my projects. What interests you?",
+      `Let's keep it about my professional stuff! Ask me about my work${currentCompany ? ` at ${currentCompany}` : ''}, my tech stack, or any of my projects. What interests you?`,
       "I'm here to talk about my work and experience! What would you like to know about my career journey or technical skills?",
       "That's outside my wheelhouse! I'm here to discuss my professional background. Any questions about my work or projects? 🚀",
     ];
@@ -105,6 +122,24 @@ Examples:
     return redirectResponses[Math.floor(Math.random() * redirectResponses.length)];
   }
 
+  // Classify a chat turn before it reaches the main model. mode: 'off' | 'log' | 'enforce'
+  async preflight(userMessage, mode = 'off', usage = null) {
+    if (mode === 'off') {
+      return { mode, checked: false, isRelevant: true, responseInstructions: null, redirect: null };
+    }
+
+    const analysis = await this.analyzeQuestion(userMessage, usage);
+
+    return {
+      mode,
+      checked: true,
+      isRelevant: analysis.isRelevant,
+      needsDetailedResponse: analysis.needsDetailedResponse,
+      responseInstructions: this.getResponseInstructions(analysis.needsDetailedResponse),
+      redirect: mode === 'enforce' && !analysis.isRelevant ? this.generateRedirectResponse(userMessage) : null,
+    };
+  }
+
   getResponseInstructions(needsDetailedResponse) {
     if (needsDetailedResponse) {
       return `Provide a detailed, comprehensive response. Include examples, context, and thorough explanations. Be conversational and engaging while being informative.`;
@@ -0,0 +1,96 @@
+const Chat = require('../models/Chat');
+const SessionSummary = require('../models/SessionSummary');
+const database = require('../models/database');
+const { tenantFilter } = require('../models/tenantScope');
+
+// Once a session has more than this many unsummarized turns, all but the most recent
+// SUMMARY_KEEP_RECENT are folded into the session summary
+const SUMMARY_TRIGGER_TURNS = parseInt(process.env.SUMMARY_TRIGGER_TURNS) || 12;
+const SUMMARY_KEEP_RECENT = parseInt(process.env.SUMMARY_KEEP_RECENT) || 6;
+
+// Condenses the older turns of long sessions so the prompt stays bounded
+class ConversationSummarizer {
+  constructor({ llm, model, persona, tenantId }) {
+    this.llm = llm;
+    this.model = model;
+    this.persona = persona;
+    this.tenantId = tenantId;
+  }
+
+  async summarize(previousSummary, chats, usage = null) {
+    const transcript = chats
+      .map(chat => `Visitor: ${chat.userMessage}\nAssistant: ${chat.assistantMessage}`)
+      .join('\n\n');
+
+    const response = await this.llm.chat({
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: `You maintain a running summary of a chat between a visitor and ${this.persona.getName()}'s portfolio assistant.
+Merge the previous summary with the new turns into one summary of at most 150 words. Keep: who the visitor is (name, company, role, email if given), what they want, questions asked and what was answered, anything promised or left open. Drop small talk. Write plain prose in the third person.`,
+        },
+        {
+          role: 'user',
+          content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`,
+        },
+      ],
+      temperature: 0.2,
+      maxTokens: 300,
+    });
+
+    if (usage) {
+      usage.record('summary', response.model, response.usage);
+    }
+
+    return response.content.trim().slice(0, 4000);
+  }
+
+  // Fold older turns into the stored summary when the session has grown past the trigger.
+  // Returns the current summary (possibly unchanged), or null for short sessions.
+  async refresh(sessionId, userId = null, usage = null) {
+    if (!sessionId || !database.isConnectionReady()) {
+      return null;
+    }
+
+    const existing = await SessionSummary.findForSession(sessionId, this.tenantId);
+    const pending = await Chat.find({
+      sessionId,
+      ...tenantFilter(this.tenantId),
+      ...(existing ? { timestamp: { $gt: existing.coveredUntil } } : {}),
+    })
+      .sort({ timestamp: 1 })
+      .select('userMessage assistantMessage timestamp')
+      .lean();
+
+    if (pending.length <= SUMMARY_TRIGGER_TURNS) {
+      return existing;
+    }
+
+    const toSummarize = pending.slice(0, pending.length - SUMMARY_KEEP_RECENT);
+
+    try {
+      const summary = await this.summarize(existing?.summary, toSummarize, usage);
+      const updated = await SessionSummary.findOneAndUpdate(
+        { tenantId: this.tenantId, sessionId },
+        {
+          $set: {
+            summary,
+            coveredUntil: toSummarize[toSummarize.length - 1].timestamp,
+            ...(userId ? { userId } : {}),
+          },
+          $inc: { turnsSummarized: toSummarize.length },
+        },
+        { upsert: true, new: true, lean: true }
+      );
+      console.log(`📝 Summarized ${toSummarize.length} older turns of session ${sessionId}`);
+      return updated;
+    } catch (error) {
+      // A stale summary is fine — the turn goes ahead with what we have
+      console.error('❌ Error summarizing session:', error);
+      return existing;
+    }
+  }
+}
+
+module.exports = ConversationSummarizer;
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { interpolateEnv } = require('../utils/env');
+const { getPersona } = require('./persona');
+const { toolRegistry } = require('./toolRegistry');
+const { DEFAULT_TENANT_ID } = require('../models/tenantScope');
+
+const DEFAULT_TENANTS_FILE = path.join(__dirname, '..', 'config', 'tenants.json');
+const DEFAULT_DAILY_MESSAGES = 80;
+const VALIDATION_MODES = ['off', 'log', 'enforce'];
+
+// Single-owner deployments keep working from environment variables alone
+function tenantFromEnv() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    default: true,
+    siteKey: process.env.SITE_KEY || null,
+    origins: process.env.FRONTEND_URL ? process.env.FRONTEND_URL.split(',').map(o => o.trim()) : ['*'],
+    personaFile: process.env.PERSONA_FILE,
+    knowledgeDir: process.env.KNOWLEDGE_DIR,
+    availabilityFile: process.env.AVAILABILITY_FILE,
+    projectsFile: process.env.PROJECTS_FILE,
+    notificationsFile: process.env.NOTIFICATIONS_FILE,
+    resumeFile: process.env.RESUME_FILE ? path.resolve(process.env.RESUME_FILE) : undefined,
+    validationMode: process.env.VALIDATION_MODE || 'off',
+    adminSecret: process.env.ADMIN_SECRET || 'your-secret-key-here',
+    rateLimits: {
+      dailyMessages: parseInt(process.env.DAILY_MESSAGE_LIMIT) || DEFAULT_DAILY_MESSAGES,
+    },
+    enabledTools: [],
+    disabledTools: [],
+  };
+}
+
+function normalizeTenant(raw, baseDir) {
+  return {
+    id: raw.id,
+    default: raw.default === true,
+    siteKey: raw.siteKey || null,
+    origins: raw.origins || [],
+    personaFile: raw.personaFile ? path.resolve(baseDir, raw.personaFile) : undefined,
+    knowledgeDir: raw.knowledgeDir ? path.resolve(baseDir, raw.knowledgeDir) : undefined,
+    validationMode: raw.validationMode || process.env.VALIDATION_MODE || 'off',
+    adminSecret: raw.adminSecret,
+    rateLimits: {
+      dailyMessages: raw.rateLimits?.dailyMessages || DEFAULT_DAILY_MESSAGES,
+    },
+    availabilityFile: raw.availabilityFile ? path.resolve(baseDir, raw.availabilityFile) : undefined,
+    resumeFile: raw.resumeFile ? path.resolve(baseDir, raw.resumeFile) : undefined,
+    projectsFile: raw.projectsFile ? path.resolve(baseDir, raw.projectsFile) : undefined,
+    notificationsFile: raw.notificationsFile ? path.resolve(baseDir, raw.notificationsFile) : undefined,
+    // Per-tenant overrides on top of ENABLED_TOOLS / DISABLED_TOOLS
+    enabledTools: raw.enabledTools || [],
+    disabledTools: raw.disabledTools || [],
+  };
+}
+
+function validateTenants(tenants) {
+  const errors = [];
+  const seen = { id: new Set(), siteKey: new Set(), adminSecret: new Set() };
+
+  if (!Array.isArray(tenants) || tenants.length === 0) {
+    return ['tenants must be a non-empty array'];
+  }
+
+  tenants.forEach((tenant, i) => {
+    const label = tenant.id ? `tenant "${tenant.id}"` : `tenants[${i}]`;
+
+    if (!tenant.id || typeof tenant.id !== 'string') {
+      errors.push(`${label}: id must be a non-empty string`);
+    }
+    if (!tenant.adminSecret) {
+      errors.push(`${label}: adminSecret is required`);
+    }
+    if (!Array.isArray(tenant.origins) || !tenant.origins.every(o => typeof o === 'string')) {
+      errors.push(`${label}: origins must be an array of strings`);
+    }
+    if (!VALIDATION_MODES.includes(tenant.validationMode)) {
+      errors.push(`${label}: validationMode must be one of ${VALIDATION_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(tenant.rateLimits.dailyMessages) || tenant.rateLimits.dailyMessages < 1) {
+      errors.push(`${label}: rateLimits.dailyMessages must be a positive integer`);
+    }
+
+    ['enabledTools', 'disabledTools'].forEach(field => {
+      if (!Array.isArray(tenant[field])) {
+        errors.push(`${label}: ${field} must be an array of tool names`);
+        return;
+      }
+      toolRegistry.unknown(tenant[field]).forEach(name => errors.push(`${label}: ${field} has unknown tool "${name}"`));
+    });
+
+    ['id', 'siteKey', 'adminSecret'].forEach(field => {
+      if (!tenant[field]) {
+        return;
+      }
+      if (seen[field].has(tenant[field])) {
+        errors.push(`${label}: ${field} is shared with another tenant`);
+      }
+      seen[field].add(tenant[field]);
+    });
+  });
+
+  if (tenants.filter(t => t.default).length > 1) {
+    errors.push('only one tenant can be marked default');
+  }
+
+  return errors;
+}
+
+class TenantRegistry {
+  constructor() {
+    this.tenants = null;
+  }
+
+  // Load tenants from TENANTS_FILE (or config/tenants.json when present), falling back to
+  // a single tenant described by environment variables. Throws when the config is invalid.
+  load() {
+    const filePath = process.env.TENANTS_FILE || DEFAULT_TENANTS_FILE;
+    let tenants;
+
+    if (fs.existsSync(filePath)) {
+      const raw = interpolateEnv(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      tenants = (raw.tenants || raw).map(t => normalizeTenant(t, path.dirname(filePath)));
+    } else if (process.env.TENANTS_FILE) {
+      throw new Error(`Tenants file not found: ${filePath}`);
+    } else {
+      tenants = [tenantFromEnv()];
+    }
+
+    const errors = validateTenants(tenants);
+    if (errors.length > 0) {
+      throw new Error(`Invalid tenant configuration:\n- ${errors.join('\n- ')}`);
+    }
+
+    // Every tenant's persona must be valid before we accept traffic
+    tenants.forEach(tenant => getPersona(tenant.personaFile).load());
+
+    this.tenants = tenants;
+    return tenants;
+  }
+
+  list() {
+    return this.tenants || this.load();
+  }
+
+  getById(id) {
+    return this.list().find(t => t.id === id) || null;
+  }
+
+  getDefault() {
+    const tenants = this.list();
+    return tenants.find(t => t.default) || (tenants.length === 1 ? tenants[0] : null);
+  }
+
+  // Resolve the tenant for a public request: explicit site key first, then the Origin header,
+  // then the default tenant. Returns null when nothing matches.
+  resolve(req) {
+    const siteKey = req.get('X-Site-Key') || req.query?.siteKey || req.body?.siteKey;
+    if (siteKey) {
+      return this.list().find(t => t.siteKey === siteKey) || null;
+    }
+
+    const origin = req.get('Origin');
+    if (origin) {
+      const byOrigin = this.list().find(t => t.origins.includes(origin));
+      if (byOrigin) {
+        return byOrigin;
+      }
+    }
+
+    return this.getDefault();
+  }
+
+  findByAdminSecret(secret) {
+    if (!secret) {
+      return null;
+    }
+    return this.list().find(t => t.adminSecret === secret) || null;
+  }
+
+  // CORS: an origin is allowed when any tenant lists it (or a wildcard)
+  isAllowedOrigin(origin) {
+    if (!origin) {
+      return true;
+    }
+    return this.list().some(t => t.origins.includes('*') || t.origins.includes(origin));
+  }
+}
+
+module.exports = new TenantRegistry();
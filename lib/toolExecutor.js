@@ -0,0 +1,265 @@
+const { logToolCall } = require('../utils/logger');
+const { DEFAULT_TENANT_ID } = require('../models/tenantScope');
+const { emitEvent } = require('./webhooks');
+
+// Per-call limit for a tool handler; a definition can set its own `timeoutMs`
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS) || 5000;
+// Tool-calling rounds allowed per turn before the model must answer in text
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS) || 3;
+// Raw arguments kept on a failed ToolCall
+const MAX_LOGGED_ARGUMENTS = 1000;
+// Result fields in which a handler reports its outcome, "error" when it logged the call as failed
+const OUTCOME_FIELDS = ['recorded', 'booked', 'shared'];
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+// The subset of JSON Schema our tool definitions use: type, properties, required,
+// additionalProperties: false, enum, minLength / maxLength, minimum / maximum and items.
+// Returns a list of problems, empty when `value` matches.
+function validateAgainstSchema(schema, value, at = 'arguments') {
+  const errors = [];
+
+  if (schema.type && JSON_TYPES[schema.type] && !JSON_TYPES[schema.type](value)) {
+    return [`${at} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(schema.items, item, `${at}[${i}]`)));
+  }
+  if (JSON_TYPES.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(properties[key], value[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Whether a result reports a failure: a ToolError ({ code, error }), or a handler that caught its
+// own error ({ recorded: 'error' }, { error: '...' })
+function isFailedResult(result) {
+  return Boolean(result?.code || result?.error || OUTCOME_FIELDS.some(field => result?.[field] === 'error'));
+}
+
+// Structured tool errors sent back to the model so it can correct itself or move on
+class ToolError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toResult() {
+    return { error: this.message, code: this.code, ...(this.details ? { details: this.details } : {}) };
+  }
+}
+
+function withTimeout(promise, timeoutMs, toolName) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new ToolError('tool_timeout', `${toolName} did not finish within ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+  // A handler that finishes after its timeout must not surface as an unhandled rejection
+  promise.catch(() => {});
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs one round of tool calls for a turn: parses and validates arguments, runs the handlers with
+// timeouts, and records every failure in ToolCall. Handlers log their own successful calls;
+// every finished call is also announced as a tool.called webhook.
+class ToolExecutor {
+  constructor(
+    definitions,
+    { tenantId = DEFAULT_TENANT_ID, timeoutMs = TOOL_TIMEOUT_MS, maxRounds = MAX_TOOL_ROUNDS } = {}
+  ) {
+    this.definitions = new Map(definitions.map(definition => [definition.name, definition]));
+    this.tenantId = tenantId;
+    this.timeoutMs = timeoutMs;
+    this.maxRounds = maxRounds;
+  }
+
+  parseArguments(toolCall) {
+    const raw = toolCall.function.arguments;
+    if (!raw || !raw.trim()) {
+      return {};
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new ToolError('invalid_json', `Arguments are not valid JSON: ${error.message}`);
+    }
+  }
+
+  async runOne(toolCall, context) {
+    const startTime = Date.now();
+    const toolName = toolCall.function.name;
+    const definition = this.definitions.get(toolName);
+
+    try {
+      // Disabled tools are treated as unknown even if the model names one
+      if (!definition) {
+        throw new ToolError('unknown_tool', `Unknown tool: ${toolName}`);
+      }
+
+      const args = this.parseArguments(toolCall);
+      console.log(`🔧 Tool called: ${toolName}`, args);
+
+      const problems = validateAgainstSchema(definition.parameters, args);
+      if (problems.length > 0) {
+        throw new ToolError('invalid_arguments', 'Arguments do not match the tool schema', problems);
+      }
+
+      const timeoutMs = definition.timeoutMs || this.timeoutMs;
+      return await withTimeout(
+        Promise.resolve().then(() => definition.handler(args, context)),
+        timeoutMs,
+        toolName
+      );
+    } catch (error) {
+      const toolError = error instanceof ToolError ? error : new ToolError('tool_failed', `${toolName} failed`);
+      console.error(`❌ Tool ${toolName} failed (${toolError.code}):`, error.message);
+      await this.recordFailure(toolCall, definition, toolError, context, Date.now() - startTime);
+      return toolError.toResult();
+    }
+  }
+
+  recordFailure(toolCall, definition, toolError, context, processingTime) {
+    return logToolCall(
+      {
+        type: definition ? definition.logType : 'invalid_tool',
+        toolName: toolCall.function.name,
+        arguments: (toolCall.function.arguments || '').slice(0, MAX_LOGGED_ARGUMENTS),
+      },
+      context.sessionId,
+      context.userInfo,
+      {
+        status: 'error',
+        errorCode: toolError.code,
+        message: [toolError.message, ...(toolError.details || [])].join('; '),
+        processingTime,
+      },
+      context.userId,
+      this.tenantId
+    );
+  }
+
+  // tool.called webhook for one finished call, failed or not
+  announce(toolCall, result, context, durationMs) {
+    let args;
+    try {
+      args = this.parseArguments(toolCall);
+    } catch {
+      args = (toolCall.function.arguments || '').slice(0, MAX_LOGGED_ARGUMENTS);
+    }
+    const failed = isFailedResult(result);
+    emitEvent('tool.called', this.tenantId, {
+      sessionId: context.sessionId,
+      userId: context.userId,
+      tool: toolCall.function.name,
+      arguments: args,
+      status: failed ? 'error' : 'ok',
+      errorCode: result?.code || (failed ? 'tool_failed' : undefined),
+      result,
+      durationMs,
+    });
+  }
+
+  // Run a round of tool calls and return the `tool` messages in call order. Calls to different
+  // tools run concurrently; repeated calls to the same tool run in order, since they usually
+  // update the same record.
+  async execute(toolCalls, { sessionId = null, userInfo = null, userId = null } = {}) {
+    const context = { sessionId, userInfo, userId, tenantId: this.tenantId };
+
+    const queues = toolCalls.reduce((groups, toolCall) => {
+      const name = toolCall.function.name;
+      groups[name] = groups[name] || [];
+      groups[name].push(toolCall);
+      return groups;
+    }, {});
+
+    const results = {};
+    await Promise.all(
+      Object.values(queues).map(async queue => {
+        for (const toolCall of queue) {
+          const startTime = Date.now();
+          results[toolCall.id] = await this.runOne(toolCall, context);
+          this.announce(toolCall, results[toolCall.id], context, Date.now() - startTime);
+        }
+      })
+    );
+
+    return toolCalls.map(toolCall => ({
+      role: 'tool',
+      content: JSON.stringify(results[toolCall.id]),
+      tool_call_id: toolCall.id,
+    }));
+  }
+
+  // Answer tool calls made past the per-turn round limit without running them
+  async refuse(toolCalls, { sessionId = null, userInfo = null, userId = null } = {}) {
+    const context = { sessionId, userInfo, userId };
+    const toolError = new ToolError(
+      'max_tool_rounds',
+      `Tool limit of ${this.maxRounds} rounds reached for this turn — answer the visitor with what you have`
+    );
+    console.warn(`⚠️ Refusing ${toolCalls.length} tool calls past ${this.maxRounds} rounds`);
+
+    await Promise.all(
+      toolCalls.map(toolCall =>
+        this.recordFailure(toolCall, this.definitions.get(toolCall.function.name), toolError, context, 0)
+      )
+    );
+
+    return toolCalls.map(toolCall => ({
+      role: 'tool',
+      content: JSON.stringify(toolError.toResult()),
+      tool_call_id: toolCall.id,
+    }));
+  }
+}
+
+module.exports = {
+  ToolExecutor,
+  ToolError,
+  validateAgainstSchema,
+  MAX_TOOL_ROUNDS,
+};
@@ -0,0 +1,431 @@
+const { FACT_KINDS } = require('../models/User');
+const { OPPORTUNITY_TYPES, SENIORITY_LEVELS, WORK_MODES, PAY_PERIODS } = require('../models/Opportunity');
+
+// Handlers live in lib/tools.js, which logs through models/ToolCall — and that model reads its
+// type enum from this registry, so the handlers are required lazily
+const tools = () => require('./tools');
+
+// Every tool the assistant can call. A definition declares what the model sees (name, description,
+// JSON schema parameters, prompt rules), how a call is handled, the `type` it is logged under in
+// ToolCall and Chat.toolOutputs, and whether it is enabled when a deployment doesn't say.
+//
+// handler(args, context) gets the parsed arguments and { sessionId, userInfo, userId, tenantId }
+// and returns the JSON-serializable result sent back to the model.
+const TOOL_DEFINITIONS = [
+  {
+    name: 'record_user_details',
+    logType: 'user_details',
+    enabled: true,
+    description: `Record details about the visitor. Call this IMMEDIATELY (before generating your reply text) when any of these happen:
+1. Visitor gives any name — "I'm Saurabh", "rajesh tripathi", "it's Pooja", (generally people just write name, nothing else) nickname or handle → call with name
+2. Visitor gives their email address → call with email
+3. Visitor mentions their company, role, or what they're working on → call with notes
+Do NOT wait. Do NOT batch. Call the moment you detect one of these.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: "Visitor's name exactly as they gave it — first name, nickname, full name, any form",
+        },
+        email: {
+          type: 'string',
+          description: "Visitor's email address",
+        },
+        notes: {
+          type: 'string',
+          description:
+            "One-line context about the visitor: their company, role, what they're building, why they're here",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    rules: [
+      `**Name:** Call \`record_user_details\` with their name BEFORE writing your reply. Triggers:
+   - Introduced form: "I'm Raj", "it's Pooja", "call me Alex", "my name is Saurabh"
+   - **Bare reply (most common):** You asked "what's your name?" and they reply with just one or two words — that IS their name. "John", "Priya", "Rahul S", "golu" — all are names. Record them.
+   - Any nickname or handle counts.`,
+      '**Email:** Same rule. The moment an email appears, call `record_user_details` with it immediately. If the result has a `warning` (a likely typo or a throwaway inbox), bring it up naturally and let the visitor confirm or correct the address.',
+      "**Context:** If they mention company, role, or what they're building, call `record_user_details` with a brief note.",
+    ],
+    async handler(args, { sessionId, userInfo, userId, tenantId }) {
+      const result = await tools().recordUserDetails(
+        args.email || '',
+        args.name || '',
+        args.notes || '',
+        sessionId,
+        userInfo,
+        userId,
+        tenantId
+      );
+      if (result.validationError) {
+        return { error: result.message, field: result.field, validationError: true };
+      }
+      return result;
+    },
+  },
+  {
+    name: 'record_unknown_question',
+    logType: 'unknown_question',
+    enabled: true,
+    description:
+      'Record a question you could not answer. Call this silently — never tell the visitor you are logging it. Still give your best answer.',
+    parameters: {
+      type: 'object',
+      properties: {
+        question: {
+          type: 'string',
+          description: 'The question that could not be answered',
+        },
+      },
+      required: ['question'],
+      additionalProperties: false,
+    },
+    rules: [
+      "**Unknown question:** Call `record_unknown_question` silently — never tell the visitor you're logging it.",
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().recordUnknownQuestion(args.question, sessionId, userInfo, userId, 'unknown', tenantId);
+    },
+  },
+  {
+    name: 'remember_fact',
+    logType: 'remember_fact',
+    enabled: true,
+    description: `Remember something durable about the visitor for their next visit: their company or role, what they're looking for, their interests, or a topic you've now covered in depth. Call silently alongside your reply. Skip small talk and anything already listed under "What you remember".`,
+    parameters: {
+      type: 'object',
+      properties: {
+        kind: {
+          type: 'string',
+          enum: FACT_KINDS,
+          description:
+            'company and role replace the previous value; interest, topic_discussed, looking_for and other add to a list',
+        },
+        value: {
+          type: 'string',
+          description: 'A short phrase, e.g. "hiring a senior backend engineer" or "Kubernetes migration at Acme"',
+        },
+      },
+      required: ['kind', 'value'],
+      additionalProperties: false,
+    },
+    rules: [
+      "**Memory:** When you learn something about the visitor worth knowing next time — company, role, what they're looking for, an interest, a topic you covered in depth — call `remember_fact` silently.",
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().rememberFact(args.kind, args.value, sessionId, userInfo, userId, tenantId);
+    },
+  },
+  {
+    name: 'propose_meeting',
+    logType: 'meeting_proposal',
+    enabled: true,
+    description:
+      "Find open times for a call with the visitor, in the visitor's time zone. Call when they want to talk, meet, have a call or interview. Returns slots with a `start` to pass to book_meeting and a `label` to show.",
+    parameters: {
+      type: 'object',
+      properties: {
+        durationMinutes: {
+          type: 'integer',
+          enum: [15, 30, 45, 60],
+          description: 'Length of the meeting; omit for the default',
+        },
+        date: {
+          type: 'string',
+          description: 'A specific day the visitor asked for, as YYYY-MM-DD in their time zone',
+        },
+        timezone: {
+          type: 'string',
+          description: 'IANA time zone the visitor named (e.g. "America/New_York"); omit to use their location',
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    rules: [
+      "**Meetings:** When the visitor wants to talk or meet, call `propose_meeting` and offer two or three of the returned times using their labels. Once they pick one and you have their email, call `book_meeting` with that slot's `start`. It's a request you still confirm by email — never say it's confirmed. Don't paste links; they get a calendar invite to download.",
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().proposeMeeting(args, sessionId, userInfo, userId, tenantId);
+    },
+  },
+  {
+    name: 'book_meeting',
+    logType: 'meeting_request',
+    enabled: true,
+    description:
+      "Request a meeting in a slot returned by propose_meeting. Needs the visitor's email (pass it here if it isn't recorded yet). Returns a downloadable calendar invite.",
+    parameters: {
+      type: 'object',
+      properties: {
+        start: {
+          type: 'string',
+          description: 'The `start` of the chosen slot, exactly as propose_meeting returned it',
+        },
+        durationMinutes: {
+          type: 'integer',
+          enum: [15, 30, 45, 60],
+          description: 'Same duration used for propose_meeting',
+        },
+        topic: {
+          type: 'string',
+          maxLength: 500,
+          description: 'What the visitor wants to discuss, in one line',
+        },
+        email: {
+          type: 'string',
+          description: "Visitor's email, if they gave it",
+        },
+        name: {
+          type: 'string',
+          description: "Visitor's name, if known",
+        },
+        timezone: {
+          type: 'string',
+          description: 'Same time zone used for propose_meeting, if one was named',
+        },
+      },
+      required: ['start', 'topic'],
+      additionalProperties: false,
+    },
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().bookMeeting(args, sessionId, userInfo, userId, tenantId);
+    },
+  },
+  {
+    name: 'share_resume',
+    logType: 'resume_share',
+    enabled: true,
+    description:
+      'Give the visitor a personal, expiring download link to the resume. Only works once their name and company are recorded — if not, the result says what to ask for.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: [],
+      additionalProperties: false,
+    },
+    rules: [
+      '**Resume:** When the visitor asks for the resume or CV, make sure you know their name and company (ask, then record the name with `record_user_details` and the company with `remember_fact`, kind "company"), then call `share_resume` and give them the returned link exactly. Never invent a resume link.',
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().shareResume(sessionId, userInfo, userId, tenantId);
+    },
+  },
+  {
+    name: 'search_projects',
+    logType: 'project_search',
+    enabled: true,
+    description:
+      'Look up projects you have built, by technology, company or keyword. Call for questions like "what have you built with React Native?" or "what did you do at Source.One?". Matches are shown to the visitor as project cards next to your reply.',
+    parameters: {
+      type: 'object',
+      properties: {
+        technology: {
+          type: 'string',
+          description: 'A technology from the stack, e.g. "React Native", "Node.js", "AWS Lambda"',
+        },
+        company: {
+          type: 'string',
+          description: 'A company name, e.g. "Calo"',
+        },
+        query: {
+          type: 'string',
+          description: 'Free-text keywords, e.g. "payments" or "whatsapp integration"',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 10,
+          description: 'Most projects to return (default 5)',
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+    rules: [
+      "**Projects:** For questions about what you've built — with a technology, at a company, or on a topic — call `search_projects`. The visitor sees the matches as cards, so talk about the one or two most relevant instead of repeating every detail.",
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().searchProjects(args, sessionId, userInfo, userId, tenantId);
+    },
+  },
+  {
+    name: 'record_opportunity',
+    logType: 'opportunity',
+    enabled: true,
+    description:
+      'Save a role or project a recruiter, founder or collaborator is pitching, as structured fields. Call as soon as they describe one, and again with the same company when they add details — it updates the same record. Only pass what they actually said. Returns `missing`: useful details not given yet.',
+    parameters: {
+      type: 'object',
+      properties: {
+        company: {
+          type: 'string',
+          minLength: 1,
+          description: 'Company or organisation behind the opportunity',
+        },
+        type: {
+          type: 'string',
+          enum: OPPORTUNITY_TYPES,
+          description:
+            'job for an employment role, contract for freelance or fixed-term work, collaboration for a side project or partnership',
+        },
+        roleTitle: {
+          type: 'string',
+          description: 'Title as they put it, e.g. "Senior React Native Engineer"',
+        },
+        seniority: {
+          type: 'string',
+          enum: SENIORITY_LEVELS,
+        },
+        location: {
+          type: 'string',
+          description: 'City, country or region, e.g. "Dubai" or "EU time zones"',
+        },
+        workMode: {
+          type: 'string',
+          enum: WORK_MODES,
+        },
+        compensation: {
+          type: 'object',
+          description: 'Only if they named numbers; a single figure goes in both min and max',
+          properties: {
+            min: { type: 'number', minimum: 0 },
+            max: { type: 'number', minimum: 0 },
+            currency: { type: 'string', description: 'ISO code, e.g. "USD", "INR", "AED"' },
+            period: { type: 'string', enum: PAY_PERIODS },
+          },
+          additionalProperties: false,
+        },
+        timeline: {
+          type: 'string',
+          maxLength: 300,
+          description: 'Start date, interview schedule or deadline, e.g. "interviews next week, start in March"',
+        },
+        contact: {
+          type: 'object',
+          description: 'Who to get back to, if not the visitor already on record',
+          properties: {
+            name: { type: 'string' },
+            email: { type: 'string' },
+            title: { type: 'string', description: 'e.g. "Technical Recruiter"' },
+          },
+          additionalProperties: false,
+        },
+        summary: {
+          type: 'string',
+          maxLength: 1000,
+          description: "One or two lines on what they're building and why they reached out",
+        },
+      },
+      required: ['company'],
+      additionalProperties: false,
+    },
+    rules: [
+      "**Opportunities:** When a recruiter, founder or collaborator pitches a role or project, call `record_opportunity` with what they've told you — don't squeeze it into `record_user_details` notes. Ask about at most one item from `missing` per reply, and never press for compensation.",
+    ],
+    handler(args, { sessionId, userInfo, userId, tenantId }) {
+      return tools().recordOpportunity(args, sessionId, userInfo, userId, tenantId);
+    },
+  },
+];
+
+// Logged outside a registered tool: irrelevant questions by the pre-flight check, and
+// calls the model made to tools that aren't registered or enabled
+const INTERNAL_LOG_TYPES = ['irrelevant_question', 'invalid_tool'];
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+class ToolRegistry {
+  constructor(definitions = []) {
+    this.definitions = new Map();
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  register(definition) {
+    ['name', 'logType', 'description', 'parameters', 'handler'].forEach(field => {
+      if (!definition[field]) {
+        throw new Error(`Tool definition ${definition.name || '(unnamed)'} is missing "${field}"`);
+      }
+    });
+    if (this.definitions.has(definition.name)) {
+      throw new Error(`Tool "${definition.name}" is already registered`);
+    }
+    this.definitions.set(definition.name, { enabled: true, rules: [], ...definition });
+    return this;
+  }
+
+  get(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  names() {
+    return [...this.definitions.keys()];
+  }
+
+  // Every `type` a ToolCall or Chat tool output may carry
+  logTypes() {
+    return [...new Set([...[...this.definitions.values()].map(d => d.logType), ...INTERNAL_LOG_TYPES])];
+  }
+
+  // Tools on for a deployment: each tool's own flag, then ENABLED_TOOLS / DISABLED_TOOLS,
+  // then the tenant's enabledTools / disabledTools
+  resolve({ enabledTools = [], disabledTools = [] } = {}) {
+    const envEnabled = parseList(process.env.ENABLED_TOOLS);
+    const envDisabled = parseList(process.env.DISABLED_TOOLS);
+
+    return [...this.definitions.values()].filter(({ name, enabled }) => {
+      if (disabledTools.includes(name)) {
+        return false;
+      }
+      if (enabledTools.includes(name)) {
+        return true;
+      }
+      return !envDisabled.includes(name) && (enabled || envEnabled.includes(name));
+    });
+  }
+
+  // Names in `names` that aren't registered, for config validation
+  unknown(names = []) {
+    return names.filter(name => !this.definitions.has(name));
+  }
+}
+
+// OpenAI-style function tools for the provider
+function toProviderTools(definitions) {
+  return definitions.map(definition => ({
+    type: 'function',
+    function: {
+      name: definition.name,
+      description: definition.description,
+      parameters: definition.parameters,
+    },
+  }));
+}
+
+// The numbered "Tool rules" section of the system prompt, for the enabled tools only
+function toRulesPrompt(definitions) {
+  const rules = definitions.flatMap(definition => definition.rules);
+  if (rules.length === 0) {
+    return '';
+  }
+  return `## Tool rules — non-negotiable
+
+${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')}`;
+}
+
+const toolRegistry = new ToolRegistry(TOOL_DEFINITIONS);
+
+module.exports = {
+  toolRegistry,
+  ToolRegistry,
+  toProviderTools,
+  toRulesPrompt,
+  parseList,
+};
@@ -1,6 +1,18 @@
 const { logToolCall } = require('../utils/logger');
 const User = require('../models/User');
 const database = require('../models/database');
+const { DEFAULT_TENANT_ID, tenantFilter } = require('../models/tenantScope');
+const Meeting = require('../models/Meeting');
+const Opportunity = require('../models/Opportunity');
+const tenants = require('./tenants');
+const { addToTriage } = require('./questionTriage');
+const { getScheduler } = require('./scheduler');
+const { isValidTimeZone } = require('./calendar');
+const { createResumeToken, getResumeFile, resumeUrl } = require('./resumeLinks');
+const { getProjectCatalogue } = require('./projects');
+const { notifyOwner } = require('./notifications');
+const { emitEvent } = require('./webhooks');
+const { checkEmail, describeEmail } = require('./emailQuality');
 
 // Email validation function
 function validateEmail(email) {
@@ -28,14 +40,46 @@ function validateEmail(email) {
     return { isValid: false, error: 'Email address is too long' };
   }
 
-  return { isValid: true };
+  // Valid, but worth a second look: a likely typo or a throwaway inbox
+  const quality = checkEmail(trimmedEmail);
+  let warning;
+  if (quality.suggestion) {
+    warning = `This may be a typo for ${quality.suggestion}. Ask the visitor to confirm; if they correct it, call record_user_details again with the right address.`;
+  } else if (quality.kind === 'disposable') {
+    warning = `${quality.domain} is a disposable email service, so replies may not reach it. Politely ask for a permanent address if they want to hear back.`;
+  }
+
+  return { isValid: true, quality, ...(warning ? { warning } : {}) };
+}
+
+// Who the owner is being told about, as notification fields
+function visitorFields({ name, email, emailQuality, userInfo, sessionId }) {
+  const geo = userInfo?.geolocation;
+  return [
+    { label: 'Name', value: name },
+    { label: 'Email', value: email },
+    { label: 'Email type', value: emailQuality && describeEmail(emailQuality) },
+    { label: 'Location', value: [geo?.city, geo?.country].filter(Boolean).join(', ') },
+    { label: 'Session', value: sessionId },
+  ].filter(field => field.value);
 }
 
 // Function to record user details incrementally
-async function recordUserDetails(email = '', name = '', notes = '', sessionId = null, userInfo = null, userId = null) {
+async function recordUserDetails(
+  email = '',
+  name = '',
+  notes = '',
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
   const startTime = Date.now();
 
   try {
+    let emailQuality = null;
+    let emailWarning = null;
+
     // Validate email if provided
     if (email && email.trim()) {
       const emailValidation = validateEmail(email);
@@ -48,10 +92,9 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
         };
       }
 
-      // If there's a warning, include it in the response
-      if (emailValidation.warning) {
-        notes = notes ? `${notes}\n${emailValidation.warning}` : emailValidation.warning;
-      }
+      // Still recorded; the warning goes back to the model so it can check with the visitor
+      emailQuality = emailValidation.quality;
+      emailWarning = emailValidation.warning || null;
     }
 
     // Log what we're trying to update
@@ -69,6 +112,7 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
     console.log(`📧 Recording user details: ${updates.join(', ')}`);
 
     let user = null;
+    let previousEmail = null;
     let result = { status: 'success', message: 'User details updated successfully', type: 'user_details' };
 
     // Save to MongoDB if database is available
@@ -78,6 +122,10 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
         if (userId) {
           user = await User.findById(userId);
           if (user) {
+            previousEmail = user.email || null;
+            if (emailQuality) {
+              user.setEmailQuality(emailQuality);
+            }
             await user.updateUserDetails(email, name, notes);
             console.log(`✅ User details updated in MongoDB for user: ${user._id}`);
           } else {
@@ -87,8 +135,10 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
         } else {
           // Fallback: try to find user by email if provided
           if (email) {
-            user = await User.findOne({ email: email.toLowerCase() });
+            user = await User.findOne({ email: email.toLowerCase(), ...tenantFilter(tenantId) });
             if (user) {
+              previousEmail = user.email;
+              user.setEmailQuality(emailQuality);
               await user.updateUserDetails(email, name, notes);
               console.log(`✅ User details updated in MongoDB for email: ${email}`);
             } else {
@@ -106,7 +156,8 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
       }
     } else {
       console.warn('⚠️ Database not ready, user data not persisted');
-      result = { status: 'success', message: 'User details logged (database unavailable)' };
+      // Still notifies the owner below, but the tool reports it as not recorded
+      result = { status: 'success', message: 'User details not saved (database unavailable)' };
     }
 
     // Log the tool call
@@ -121,19 +172,55 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
       sessionId,
       userInfo,
       { ...result, processingTime },
-      userId
+      userId,
+      tenantId
     );
 
-    // Here you could add additional integrations like:
-    // - Send email notification
-    // - Add to CRM system
-    // - Send webhook to external service
-    // - Send notification to admin
+    if (result.status === 'success' && user) {
+      emitEvent('user.updated', tenantId, {
+        userId: user._id,
+        sessionId,
+        changes: { ...(email ? { email } : {}), ...(name ? { name } : {}), ...(notes ? { notes } : {}) },
+        user: { name: user.name || null, email: user.email || null },
+      });
+    }
 
+    // Tell the owner about new leads and context; never waits on the channels
+    if (result.status === 'success') {
+      const visitor = { name: name || user?.name, email: email || user?.email, emailQuality, userInfo, sessionId };
+      const who = visitor.name || visitor.email || 'A visitor';
+      if (email && email.trim().toLowerCase() !== previousEmail) {
+        notifyOwner('email_captured', {
+          tenantId,
+          userId: user?._id,
+          sessionId,
+          title: `New lead: ${who}`,
+          text: user?.notes || notes,
+          fields: visitorFields(visitor),
+        });
+      }
+      if (notes) {
+        notifyOwner('company_mentioned', {
+          tenantId,
+          userId: user?._id,
+          sessionId,
+          title: `${who} shared who they are`,
+          text: notes,
+          fields: visitorFields(visitor),
+          dedupeKey: notes,
+        });
+      }
+    }
+
+    // Only "ok" once the details are saved on a visitor; otherwise nothing will reach the owner's records
+    if (result.status !== 'success' || !user) {
+      return { recorded: 'error', message: result.message };
+    }
     return {
       recorded: 'ok',
       message: result.message,
-      userId: user?._id,
+      userId: user._id,
+      ...(emailWarning ? { warning: emailWarning, suggestion: emailQuality.suggestion || undefined } : {}),
     };
   } catch (error) {
     const processingTime = Date.now() - startTime;
@@ -154,7 +241,8 @@ async function recordUserDetails(email = '', name = '', notes = '', sessionId =
         message: 'Failed to record user details: ' + error.message,
         processingTime,
       },
-      userId
+      userId,
+      tenantId
     );
 
     return { recorded: 'error', message: 'Failed to record user details' };
@@ -167,7 +255,8 @@ async function recordUnknownQuestion(
   sessionId = null,
   userInfo = null,
   userId = null,
-  questionType = 'unknown'
+  questionType = 'unknown',
+  tenantId = DEFAULT_TENANT_ID
 ) {
   const startTime = Date.now();
 
@@ -178,7 +267,7 @@ async function recordUnknownQuestion(
 
     // Log the tool call
     const processingTime = Date.now() - startTime;
-    await logToolCall(
+    const toolEntry = await logToolCall(
       {
         type: questionType === 'irrelevant' ? 'irrelevant_question' : 'unknown_question',
         question,
@@ -187,14 +276,30 @@ async function recordUnknownQuestion(
       sessionId,
       userInfo,
       { ...result, processingTime },
-      userId
+      userId,
+      tenantId
     );
 
-    // Here you could add additional integrations like:
-    // - Send notification to developer/admin
-    // - Add to knowledge base improvement queue
-    // - Trigger knowledge base update workflow
-    // - Send to analytics/monitoring system
+    // File unknown questions in the admin triage inbox, where answers feed back into future prompts
+    if (questionType === 'unknown') {
+      try {
+        await addToTriage(question, { tenantId, toolCallId: toolEntry?._id, sessionId, userId });
+      } catch (triageError) {
+        console.error('❌ Error filing unknown question for triage:', triageError);
+      }
+    }
+
+    if (questionType === 'unknown') {
+      notifyOwner('unknown_question', {
+        tenantId,
+        userId,
+        sessionId,
+        title: 'Question the assistant could not answer',
+        text: question,
+        fields: visitorFields({ userInfo, sessionId }),
+        dedupeKey: question,
+      });
+    }
 
     return { recorded: 'ok', message: `${typeLabel} recorded for analysis`, questionType };
   } catch (error) {
@@ -215,7 +320,8 @@ async function recordUnknownQuestion(
         message: `Failed to record ${questionType} question: ` + error.message,
         processingTime,
       },
-      userId
+      userId,
+      tenantId
     );
 
     return { recorded: 'error', message: `Failed to record ${questionType} question` };
@@ -223,12 +329,490 @@ async function recordUnknownQuestion(
 }
 
 // Function to record irrelevant questions (wrapper for recordUnknownQuestion)
-async function recordIrrelevantQuestion(question, sessionId = null, userInfo = null, userId = null) {
-  return recordUnknownQuestion(question, sessionId, userInfo, userId, 'irrelevant');
+async function recordIrrelevantQuestion(
+  question,
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  return recordUnknownQuestion(question, sessionId, userInfo, userId, 'irrelevant', tenantId);
+}
+
+// Function to remember a durable fact about the visitor for later sessions
+async function rememberFact(
+  kind,
+  value,
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  const startTime = Date.now();
+  let result = { status: 'success', message: 'Fact remembered' };
+
+  try {
+    console.log(`🧠 Remembering ${kind}: ${value}`);
+
+    if (!database.isConnectionReady()) {
+      result = { status: 'success', message: 'Fact logged (database unavailable)' };
+    } else {
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        result = { status: 'error', message: 'User not found' };
+      } else if (!user.rememberFact(kind, value, { source: 'tool', sessionId })) {
+        result = { status: 'error', message: `Invalid fact kind "${kind}" or empty value` };
+      } else {
+        await user.save();
+        emitEvent('user.updated', tenantId, {
+          userId,
+          sessionId,
+          changes: { fact: { kind, value } },
+          user: { name: user.name || null, email: user.email || null },
+        });
+        if (kind === 'company') {
+          notifyOwner('company_mentioned', {
+            tenantId,
+            userId,
+            sessionId,
+            title: `${user.name || user.email || 'A visitor'} is from ${value}`,
+            text: value,
+            fields: visitorFields({ name: user.name, email: user.email, userInfo, sessionId }),
+            dedupeKey: value,
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error remembering fact:', error);
+    result = { status: 'error', message: 'Failed to remember fact: ' + error.message };
+  }
+
+  await logToolCall(
+    { type: 'remember_fact', factKind: kind, factValue: value },
+    sessionId,
+    userInfo,
+    { ...result, processingTime: Date.now() - startTime },
+    userId,
+    tenantId
+  );
+
+  return { recorded: result.status === 'success' ? 'ok' : 'error', message: result.message };
+}
+
+// Visitor's time zone: one they named, else the one geolocated from their IP, else the owner's
+function meetingTimeZone(requested, userInfo, scheduler) {
+  if (isValidTimeZone(requested)) {
+    return requested;
+  }
+  const geolocated = userInfo?.geolocation?.timezone;
+  return isValidTimeZone(geolocated) ? geolocated : scheduler.getConfig().timezone;
+}
+
+// Function to offer open meeting slots in the visitor's time zone
+async function proposeMeeting(
+  { durationMinutes, date, timezone } = {},
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  const startTime = Date.now();
+
+  try {
+    const scheduler = getScheduler(tenants.getById(tenantId)?.availabilityFile);
+    const timeZone = meetingTimeZone(timezone, userInfo, scheduler);
+    const duration = durationMinutes || scheduler.getConfig().defaultDurationMinutes;
+    const slots = await scheduler.findSlots({ durationMinutes: duration, timeZone, date, tenantId });
+
+    console.log(`📅 Proposing ${slots.length} meeting slots in ${timeZone}`);
+
+    await logToolCall(
+      { type: 'meeting_proposal', notes: `${duration} min${date ? ` on ${date}` : ''} in ${timeZone}` },
+      sessionId,
+      userInfo,
+      { status: 'success', message: `${slots.length} slots offered`, processingTime: Date.now() - startTime },
+      userId,
+      tenantId
+    );
+
+    return {
+      timezone: timeZone,
+      durationMinutes: duration,
+      slots: slots.map(slot => ({ start: slot.start.toISOString(), label: scheduler.label(slot, timeZone) })),
+      ...(slots.length === 0 ? { message: `No open slots${date ? ` on ${date}` : ' in the coming days'}` } : {}),
+    };
+  } catch (error) {
+    console.error('❌ Error proposing meeting slots:', error);
+    await logToolCall(
+      { type: 'meeting_proposal' },
+      sessionId,
+      userInfo,
+      {
+        status: 'error',
+        message: 'Failed to load availability: ' + error.message,
+        processingTime: Date.now() - startTime,
+      },
+      userId,
+      tenantId
+    );
+    return { error: 'Availability is not available right now' };
+  }
+}
+
+const SLOT_TAKEN_MESSAGE = 'That slot is no longer open — call propose_meeting for fresh times';
+
+// Function to request a meeting in one of the proposed slots
+async function bookMeeting(
+  { start, durationMinutes, topic, email = '', name = '', timezone } = {},
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  const startTime = Date.now();
+  let result;
+  let meeting = null;
+
+  try {
+    const scheduler = getScheduler(tenants.getById(tenantId)?.availabilityFile);
+    const timeZone = meetingTimeZone(timezone, userInfo, scheduler);
+    const duration = durationMinutes || scheduler.getConfig().defaultDurationMinutes;
+    const slotStart = new Date(start);
+    const user = userId && database.isConnectionReady() ? await User.findById(userId) : null;
+    const contactEmail = (email || user?.email || '').trim();
+
+    if (Number.isNaN(slotStart.getTime())) {
+      result = { status: 'error', message: 'start must be one of the slot times from propose_meeting' };
+    } else if (!contactEmail || !validateEmail(contactEmail).isValid) {
+      result = { status: 'error', message: "Ask for the visitor's email first — the invite is sent there" };
+    } else if (!database.isConnectionReady()) {
+      result = { status: 'error', message: 'Meetings cannot be booked right now (database unavailable)' };
+    } else if (!(await scheduler.isSlotOpen(slotStart, duration, tenantId))) {
+      result = { status: 'error', message: SLOT_TAKEN_MESSAGE };
+    } else {
+      meeting = await Meeting.requestSlot({
+        tenantId,
+        userId,
+        sessionId,
+        name: name || user?.name,
+        email: contactEmail,
+        topic,
+        start: slotStart,
+        end: new Date(slotStart.getTime() + duration * 60 * 1000),
+        timezone: timeZone,
+      });
+      if (!meeting) {
+        result = { status: 'error', message: SLOT_TAKEN_MESSAGE };
+      }
+    }
+
+    if (meeting) {
+      console.log(`📅 Meeting requested for ${meeting.start.toISOString()} (${meeting._id})`);
+      result = { status: 'success', message: 'Meeting requested, awaiting confirmation' };
+      notifyOwner('meeting_requested', {
+        tenantId,
+        userId,
+        sessionId,
+        title: `Meeting request: ${scheduler.label(meeting, scheduler.getConfig().timezone)}`,
+        text: topic,
+        fields: [
+          ...visitorFields({ name: meeting.name, email: contactEmail, userInfo, sessionId }),
+          { label: 'Duration', value: `${duration} min` },
+        ],
+        dedupeKey: String(meeting._id),
+      });
+    }
+
+    await logToolCall(
+      { type: 'meeting_request', email: contactEmail, name, notes: topic, meetingId: meeting?._id },
+      sessionId,
+      userInfo,
+      { ...result, processingTime: Date.now() - startTime },
+      userId,
+      tenantId
+    );
+
+    if (!meeting) {
+      return { booked: 'error', error: result.message };
+    }
+    return {
+      booked: 'ok',
+      meetingId: meeting._id,
+      status: meeting.status,
+      when: scheduler.label(meeting, timeZone),
+      timezone: timeZone,
+      inviteUrl: meeting.getInvitePath(),
+      message: 'Requested — it still needs confirming; a calendar invite is ready to download',
+    };
+  } catch (error) {
+    console.error('❌ Error booking meeting:', error);
+    await logToolCall(
+      { type: 'meeting_request', email, name, notes: topic },
+      sessionId,
+      userInfo,
+      { status: 'error', message: 'Failed to book meeting: ' + error.message, processingTime: Date.now() - startTime },
+      userId,
+      tenantId
+    );
+    return { booked: 'error', error: 'Failed to book meeting' };
+  }
+}
+
+// How the assistant fills each gap reported by getResumeGaps
+const RESUME_GAP_TOOLS = {
+  name: 'record the name with record_user_details',
+  company: 'remember the company with remember_fact (kind "company")',
+};
+
+// Function to hand the visitor a signed, expiring resume link once they've said who they are
+async function shareResume(sessionId = null, userInfo = null, userId = null, tenantId = DEFAULT_TENANT_ID) {
+  const startTime = Date.now();
+  let result;
+  let link = null;
+
+  try {
+    const user = userId && database.isConnectionReady() ? await User.findById(userId) : null;
+    const gaps = user ? user.getResumeGaps() : [];
+
+    if (!getResumeFile(tenants.getById(tenantId))) {
+      result = { status: 'error', message: 'Resume downloads are not set up — offer to share it by email instead' };
+    } else if (!user) {
+      result = { status: 'error', message: 'The resume cannot be shared right now (visitor not found)' };
+    } else if (gaps.length > 0) {
+      result = {
+        status: 'error',
+        message: `Ask for their ${gaps.join(' and ')} first, then ${gaps.map(gap => RESUME_GAP_TOOLS[gap]).join(' and ')}`,
+      };
+    } else {
+      link = createResumeToken({ userId: user._id, tenantId });
+      result = link
+        ? { status: 'success', message: 'Resume link issued' }
+        : { status: 'error', message: 'Resume downloads are not set up — offer to share it by email instead' };
+    }
+  } catch (error) {
+    console.error('❌ Error sharing resume:', error);
+    result = { status: 'error', message: 'Failed to share resume: ' + error.message };
+  }
+
+  if (link) {
+    console.log(`📄 Resume link ${link.linkId} issued, expires ${link.expiresAt.toISOString()}`);
+  }
+
+  await logToolCall(
+    { type: 'resume_share', linkId: link?.linkId },
+    sessionId,
+    userInfo,
+    { ...result, processingTime: Date.now() - startTime },
+    userId,
+    tenantId
+  );
+
+  if (!link) {
+    return { shared: 'error', error: result.message };
+  }
+  return {
+    shared: 'ok',
+    url: resumeUrl(link.token),
+    expiresAt: link.expiresAt.toISOString(),
+    message: 'Share this link as-is; it is personal to the visitor and expires',
+  };
+}
+
+// Function to look up projects in the owner's catalogue; the matches are shown as cards
+async function searchProjects(
+  { technology, company, query, limit } = {},
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  const startTime = Date.now();
+  const filters = [
+    technology && `technology: ${technology}`,
+    company && `company: ${company}`,
+    query && `query: ${query}`,
+  ].filter(Boolean);
+
+  try {
+    const { total, projects } = getProjectCatalogue(tenants.getById(tenantId)?.projectsFile).search({
+      technology,
+      company,
+      query,
+      limit,
+    });
+
+    console.log(`🗂️ Project search (${filters.join(', ') || 'all'}): ${total} found`);
+
+    await logToolCall(
+      { type: 'project_search', notes: filters.join(', ') || 'all projects' },
+      sessionId,
+      userInfo,
+      { status: 'success', message: `${total} projects found`, processingTime: Date.now() - startTime },
+      userId,
+      tenantId
+    );
+
+    return {
+      total,
+      projects,
+      ...(total === 0 ? { message: 'No matching projects in the catalogue — answer from what you know' } : {}),
+    };
+  } catch (error) {
+    console.error('❌ Error searching projects:', error);
+    await logToolCall(
+      { type: 'project_search', notes: filters.join(', ') },
+      sessionId,
+      userInfo,
+      {
+        status: 'error',
+        message: 'Failed to load projects: ' + error.message,
+        processingTime: Date.now() - startTime,
+      },
+      userId,
+      tenantId
+    );
+    return { error: 'The project catalogue is not available right now' };
+  }
+}
+
+// record_opportunity arguments as dotted paths, leaving out anything the visitor didn't say
+function opportunityFields({
+  type,
+  company,
+  roleTitle,
+  seniority,
+  location,
+  workMode,
+  compensation,
+  timeline,
+  contact,
+  summary,
+}) {
+  const fields = {
+    type,
+    company,
+    roleTitle,
+    seniority,
+    location,
+    workMode,
+    'compensation.min': compensation?.min,
+    'compensation.max': compensation?.max,
+    'compensation.currency': compensation?.currency,
+    'compensation.period': compensation?.period,
+    timeline,
+    'contact.name': contact?.name,
+    'contact.email': contact?.email,
+    'contact.title': contact?.title,
+    summary,
+  };
+  return Object.entries(fields).reduce((acc, [path, value]) => {
+    const clean = typeof value === 'string' ? value.trim() : value;
+    if (clean !== undefined && clean !== null && clean !== '') {
+      acc[path] = clean;
+    }
+    return acc;
+  }, {});
+}
+
+// Function to capture a role or project someone is pitching as a structured opportunity.
+// Details given later in the conversation update the same record.
+async function recordOpportunity(
+  args = {},
+  sessionId = null,
+  userInfo = null,
+  userId = null,
+  tenantId = DEFAULT_TENANT_ID
+) {
+  const startTime = Date.now();
+  const fields = opportunityFields(args);
+  let result;
+  let opportunity = null;
+  let updated = false;
+
+  try {
+    const { min, max } = args.compensation || {};
+
+    if (fields['contact.email'] && !validateEmail(fields['contact.email']).isValid) {
+      result = { status: 'error', message: 'contact.email is not a valid email address' };
+    } else if (min !== undefined && max !== undefined && min > max) {
+      result = { status: 'error', message: 'compensation.min must not be above compensation.max' };
+    } else if (!database.isConnectionReady()) {
+      result = { status: 'error', message: 'The opportunity cannot be saved right now (database unavailable)' };
+    } else {
+      const user = userId ? await User.findById(userId) : null;
+      opportunity = await Opportunity.findOpenFor(tenantId, { userId, sessionId, company: fields.company });
+      updated = Boolean(opportunity);
+      opportunity = opportunity || new Opportunity({ tenantId, userId, sessionId });
+      opportunity.set(fields);
+
+      // The visitor is usually the contact; don't ask for what's already on record
+      if (!opportunity.contact?.email && user?.email) {
+        opportunity.set({ 'contact.email': user.email, 'contact.name': opportunity.contact?.name || user.name });
+      }
+      await opportunity.save();
+      console.log(
+        `💼 Opportunity ${updated ? 'updated' : 'recorded'}: ${opportunity.roleTitle || opportunity.type} at ${opportunity.company}`
+      );
+
+      // Their company also goes on the lead, for scoring and resume sharing
+      if (user && !user.facts.some(f => f.kind === 'company')) {
+        user.rememberFact('company', opportunity.company, { source: 'tool', sessionId });
+        await user.save();
+      }
+      result = { status: 'success', message: updated ? 'Opportunity updated' : 'Opportunity recorded' };
+    }
+  } catch (error) {
+    console.error('❌ Error recording opportunity:', error);
+    result = { status: 'error', message: 'Failed to record opportunity: ' + error.message };
+    opportunity = null;
+  }
+
+  await logToolCall(
+    {
+      type: 'opportunity',
+      notes: [fields.roleTitle, fields.company].filter(Boolean).join(' at '),
+      email: fields['contact.email'],
+      opportunityId: opportunity?._id,
+    },
+    sessionId,
+    userInfo,
+    { ...result, processingTime: Date.now() - startTime },
+    userId,
+    tenantId
+  );
+
+  if (!opportunity) {
+    return { recorded: 'error', error: result.message };
+  }
+  return {
+    recorded: 'ok',
+    opportunityId: opportunity._id,
+    updated,
+    missing: opportunity.getMissingFields(),
+    message: result.message,
+  };
+}
+
+// Pull an email and self-introduced name out of a raw message, for turns answered without the model
+function extractContactDetails(message) {
+  const email = (message.match(/[\w.+-]+@[\w-]+\.[\w.-]+/) || [])[0] || '';
+  const name =
+    (message.match(/\b(?:[Ii]'?m|[Ii] am|[Cc]all me|[Tt]his is)\s+([A-Z][\w'-]+(?:\s+[A-Z][\w'-]+)?)/) ||
+      message.match(/\bmy name is\s+([a-z][\w'-]+(?:\s+[a-z][\w'-]+)?)/i) ||
+      [])[1] || '';
+  return { email: email.replace(/\.$/, ''), name };
 }
 
 module.exports = {
   recordUserDetails,
+  extractContactDetails,
   recordUnknownQuestion,
   recordIrrelevantQuestion,
+  rememberFact,
+  proposeMeeting,
+  bookMeeting,
+  shareResume,
+  searchProjects,
+  recordOpportunity,
 };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, '..', 'config', 'pricing.json');
+
+let priceTable = null;
+
+// Price table from PRICING_FILE (default config/pricing.json), prices in currency per 1M tokens
+function getPriceTable() {
+  if (!priceTable) {
+    const filePath = process.env.PRICING_FILE || DEFAULT_PRICING_FILE;
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      priceTable = { currency: raw.currency || 'USD', models: raw.models || {} };
+    } catch (error) {
+      console.error(`❌ Could not load pricing from ${filePath}, costs will read as 0:`, error.message);
+      priceTable = { currency: 'USD', models: {} };
+    }
+  }
+  return priceTable;
+}
+
+// Exact match first, then the longest listed prefix so dated snapshots
+// ("gpt-4o-mini-2024-07-18") are priced like their family
+function priceFor(model) {
+  const { models } = getPriceTable();
+  if (!model) {
+    return null;
+  }
+  if (models[model]) {
+    return models[model];
+  }
+  const prefix = Object.keys(models)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+function costOf(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const price = priceFor(model);
+  if (!price) {
+    return 0;
+  }
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+}
+
+// Collects the usage of every completion made for one chat turn
+class UsageMeter {
+  constructor() {
+    this.calls = [];
+  }
+
+  // purpose: 'validator' for the pre-flight check, 'chat' for each tool-loop iteration,
+  // 'summary' for session summarization, 'memory' for end-of-session fact extraction
+  record(purpose, model, usage) {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    this.calls.push({
+      purpose,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.totalTokens || promptTokens + completionTokens,
+      cost: costOf(model, { promptTokens, completionTokens }),
+      reported: Boolean(usage),
+    });
+    return this;
+  }
+
+  merge(other) {
+    if (other) {
+      this.calls.push(...other.calls);
+    }
+    return this;
+  }
+
+  // Totals plus the per-call breakdown, in the shape stored on Chat.usage
+  summary() {
+    const totals = this.calls.reduce(
+      (acc, call) => {
+        acc.promptTokens += call.promptTokens;
+        acc.completionTokens += call.completionTokens;
+        acc.totalTokens += call.totalTokens;
+        acc.cost += call.cost;
+        return acc;
+      },
+      { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 }
+    );
+    return { ...totals, currency: getPriceTable().currency, calls: this.calls };
+  }
+}
+
+module.exports = {
+  UsageMeter,
+  costOf,
+  priceFor,
+  getPriceTable,
+};
@@ -0,0 +1,131 @@
+const Chat = require('../models/Chat');
+const database = require('../models/database');
+const { FACT_KINDS } = require('../models/User');
+const { tenantFilter } = require('../models/tenantScope');
+const { tokenize } = require('./knowledgeBase');
+const { UsageMeter } = require('./usage');
+const spendBudget = require('../utils/spendBudget');
+
+// Facts injected into a prompt: who they are always, then the facts closest to the message
+const MEMORY_PROMPT_FACTS = parseInt(process.env.MEMORY_PROMPT_FACTS) || 8;
+const IDENTITY_KINDS = ['company', 'role'];
+// Only sessions with at least this many turns are worth an extraction call
+const MIN_TURNS_TO_EXTRACT = 2;
+// Sessions processed per visit, oldest first, so a backlog can't stall anyone
+const MAX_SESSIONS_PER_RUN = 2;
+
+const KIND_LABELS = {
+  company: 'Company',
+  role: 'Role',
+  interest: 'Interested in',
+  topic_discussed: 'Already discussed',
+  looking_for: 'Looking for',
+  other: 'Note',
+};
+
+// Identity facts first, then the rest ranked by term overlap with the message and recency
+function selectRelevantFacts(facts = [], message = '', limit = MEMORY_PROMPT_FACTS) {
+  const messageTerms = new Set(tokenize(message));
+  const identity = facts.filter(f => IDENTITY_KINDS.includes(f.kind));
+  const ranked = facts
+    .filter(f => !IDENTITY_KINDS.includes(f.kind))
+    .map(fact => ({
+      fact,
+      overlap: tokenize(fact.value).filter(term => messageTerms.has(term)).length,
+      time: new Date(fact.updatedAt || 0).getTime(),
+    }))
+    .sort((a, b) => b.overlap - a.overlap || b.time - a.time)
+    .map(entry => entry.fact);
+
+  return [...identity, ...ranked].slice(0, limit);
+}
+
+function formatFacts(facts) {
+  return facts.map(f => `- ${KIND_LABELS[f.kind] || f.kind}: ${f.value}`).join('\n');
+}
+
+// Ask the fast model for durable facts in a finished session's transcript
+async function extractFacts({ llm, model, personaName }, chats, usage) {
+  const transcript = chats.map(c => `Visitor: ${c.userMessage}\nAssistant: ${c.assistantMessage}`).join('\n\n');
+
+  const response = await llm.chat({
+    model,
+    responseFormat: 'json',
+    messages: [
+      {
+        role: 'system',
+        content: `You extract long-term memory about a visitor from a chat with ${personaName}'s portfolio assistant.
+Return JSON: {"facts": [{"kind": "...", "value": "..."}]} with kind one of: ${FACT_KINDS.join(', ')}.
+Only facts about the visitor that will still matter on a later visit: their company, role, what they are looking for (e.g. hiring a backend engineer), interests, and topics already covered in enough depth not to repeat. Values are short phrases. No names or emails. Return {"facts": []} if there is nothing durable.`,
+      },
+      { role: 'user', content: transcript },
+    ],
+    temperature: 0.1,
+    maxTokens: 300,
+  });
+
+  usage.record('memory', response.model, response.usage);
+
+  const result = response.content.trim();
+  const parsed = JSON.parse(result.slice(result.indexOf('{'), result.lastIndexOf('}') + 1));
+  return (parsed.facts || []).filter(f => FACT_KINDS.includes(f.kind) && typeof f.value === 'string');
+}
+
+// End-of-session extraction. A session counts as ended once the visitor starts another one, so
+// this runs for the visitor's earlier, not yet processed sessions. Returns the number of facts stored.
+async function extractFromPastSessions(user, currentSessionId, { llm, model, personaName, tenantId }) {
+  if (!user || !database.isConnectionReady()) {
+    return 0;
+  }
+
+  const pending = user.sessions
+    .filter(s => s.sessionId !== currentSessionId && !s.memoryExtractedAt)
+    .slice(0, MAX_SESSIONS_PER_RUN);
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const budget = await spendBudget.getStatus();
+  if (budget.level === 'exhausted') {
+    return 0;
+  }
+
+  const usage = new UsageMeter();
+  let stored = 0;
+
+  for (const session of pending) {
+    try {
+      const chats = await Chat.find({ sessionId: session.sessionId, ...tenantFilter(tenantId) })
+        .sort({ timestamp: 1 })
+        .limit(30)
+        .lean();
+
+      if (chats.length >= MIN_TURNS_TO_EXTRACT) {
+        const facts = await extractFacts({ llm, model, personaName }, chats, usage);
+        facts.forEach(f => {
+          if (user.rememberFact(f.kind, f.value, { source: 'extraction', sessionId: session.sessionId })) {
+            stored += 1;
+          }
+        });
+      }
+      session.memoryExtractedAt = new Date();
+    } catch (error) {
+      // Leave the session unmarked so the next visit retries it
+      console.error(`❌ Error extracting visitor facts from session ${session.sessionId}:`, error);
+    }
+  }
+
+  await user.save();
+  await spendBudget.record(usage.summary());
+
+  if (stored > 0) {
+    console.log(`🧠 Remembered ${stored} facts about visitor ${user._id} from ${pending.length} past sessions`);
+  }
+  return stored;
+}
+
+module.exports = {
+  selectRelevantFacts,
+  formatFacts,
+  extractFromPastSessions,
+};
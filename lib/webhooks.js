@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+const { promisify } = require('util');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const database = require('../models/database');
+
+// Deliveries sent per pass, so one pass can't run forever behind a backlog
+const BATCH_SIZE = 20;
+// Longest wait between two attempts, whatever the backoff says
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const lookup = promisify(dns.lookup);
+
+// Addresses a tenant's webhook must never reach: this host, the private network and cloud metadata
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function getSettings() {
+  return {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 60000,
+    pollMs: parseInt(process.env.WEBHOOK_POLL_MS) || 15000,
+  };
+}
+
+// Stripe-style signature over "<timestamp>.<body>", so receivers can reject replays
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Why a webhook URL can't be used, or null: it must be http(s) and not name a local or private host
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+    return 'url must be an http(s) URL';
+  }
+  const hostname = parsed.hostname
+    .replace(/^\[|\]$/g, '')
+    .replace(/\.$/, '')
+    .toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) {
+    return 'url must point to a public host';
+  }
+  return null;
+}
+
+// The hostname may resolve somewhere else by now, so look it up again right before sending
+async function checkResolvedHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = await lookup(hostname, { all: true });
+  return addresses.every(({ address }) => !isBlockedAddress(address));
+}
+
+// Wait before attempt `attempts + 1`: base, 2×base, 4×base… with ±10% jitter
+function retryDelayMs(attempts, baseMs) {
+  const delay = Math.min(baseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+// Sends queued deliveries: right after an event is queued, and on a timer for retries and for
+// anything left behind by an instance that stopped mid-send
+class WebhookDispatcher {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+    this.rerun = false;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.drain(), getSettings().pollMs);
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // One pass at a time; a call during a pass schedules another one after it
+  drain() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+    this.running = this.sendDue()
+      .catch(error => console.error('❌ Webhook dispatch error:', error))
+      .finally(() => {
+        this.running = null;
+        if (this.rerun) {
+          this.rerun = false;
+          this.drain();
+        }
+      });
+    return this.running;
+  }
+
+  async sendDue() {
+    if (!database.isConnectionReady()) {
+      return;
+    }
+    const { timeoutMs } = getSettings();
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const delivery = await WebhookDelivery.claimDue(timeoutMs * 2);
+      if (!delivery) {
+        return;
+      }
+      await this.attempt(delivery);
+    }
+  }
+
+  async attempt(delivery) {
+    const { timeoutMs, maxAttempts, retryBaseMs } = getSettings();
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      await delivery.markFailed({ error: subscription ? 'Subscription is disabled' : 'Subscription was deleted' });
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    // `error` is shown to the tenant, so it never carries the endpoint's own text; `detail` is only logged
+    let failure;
+    try {
+      if (checkWebhookUrl(subscription.url) || !(await checkResolvedHost(subscription.url))) {
+        failure = { error: 'Endpoint address is not allowed', detail: 'resolves to a local or private address' };
+      } else {
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'portfolio-assistant-webhooks/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Id': delivery.eventId,
+            'X-Webhook-Attempt': String(delivery.attempts + 1),
+            'X-Webhook-Signature': signPayload(subscription.secret, body),
+          },
+          body,
+          // A redirect could lead anywhere, including back inside the network
+          redirect: 'manual',
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) {
+          await delivery.markDelivered(response.status);
+          await WebhookSubscription.recordOutcome(subscription._id, true);
+          console.log(`🪝 Webhook ${delivery.event} delivered to ${subscription.url}`);
+          return delivery;
+        }
+        failure = {
+          error: `Endpoint answered ${response.status}`,
+          detail: response.statusText,
+          statusCode: response.status,
+        };
+      }
+    } catch (error) {
+      failure =
+        error.name === 'TimeoutError'
+          ? { error: `Timed out after ${timeoutMs}ms` }
+          : { error: 'Could not reach the endpoint', detail: error.cause?.code || error.code || error.message };
+    }
+
+    const attempts = delivery.attempts + 1;
+    // A failed test isn't retried; it shows up with the dead letters
+    const retryable = delivery.event !== 'webhook.test' && attempts < maxAttempts;
+    const retryAt = retryable ? new Date(Date.now() + retryDelayMs(attempts, retryBaseMs)) : null;
+    await delivery.markFailed({ error: failure.error, statusCode: failure.statusCode, retryAt });
+    await WebhookSubscription.recordOutcome(subscription._id, false);
+    console.warn(
+      `⚠️ Webhook ${delivery.event} to ${subscription.url} failed (attempt ${attempts}/${maxAttempts}): ${failure.error}` +
+        (failure.detail ? ` (${failure.detail})` : '') +
+        (retryAt ? `, retrying at ${retryAt.toISOString()}` : ', moved to dead letters')
+    );
+    return delivery;
+  }
+}
+
+const dispatcher = new WebhookDispatcher();
+
+function buildPayload(event, tenantId, data) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    event,
+    tenantId,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+// Queue one delivery per subscription that wants the event; resolves to how many were queued
+async function enqueueEvent(event, tenantId, data) {
+  if (!database.isConnectionReady()) {
+    return 0;
+  }
+  const subscriptions = await WebhookSubscription.findForEvent(tenantId, event);
+  if (subscriptions.length === 0) {
+    return 0;
+  }
+
+  const payload = buildPayload(event, tenantId, data);
+  await WebhookDelivery.insertMany(
+    subscriptions.map(subscription => ({
+      tenantId,
+      subscriptionId: subscription._id,
+      event,
+      eventId: payload.id,
+      payload,
+    }))
+  );
+  return subscriptions.length;
+}
+
+// Fire-and-forget: queued after the current request's work, so a subscriber never slows a reply
+function emitEvent(event, tenantId, data) {
+  setImmediate(() => {
+    enqueueEvent(event, tenantId, data)
+      .then(queued => queued > 0 && dispatcher.drain())
+      .catch(error => console.error(`❌ Error queueing webhook ${event}:`, error));
+  });
+}
+
+// Send a webhook.test event to one subscription now and return the delivery with its outcome
+async function sendTestEvent(subscription) {
+  const payload = buildPayload('webhook.test', subscription.tenantId, { message: 'Webhook test from your assistant' });
+  const delivery = await WebhookDelivery.create({
+    tenantId: subscription.tenantId,
+    subscriptionId: subscription._id,
+    event: 'webhook.test',
+    eventId: payload.id,
+    payload,
+    // Keep the background worker off it while this request sends it
+    lockedUntil: new Date(Date.now() + getSettings().timeoutMs * 2),
+  });
+  return dispatcher.attempt(delivery);
+}
+
+module.exports = {
+  checkWebhookUrl,
+  emitEvent,
+  enqueueEvent,
+  sendTestEvent,
+  signPayload,
+  startDispatcher: () => dispatcher.start(),
+  drainWebhooks: () => dispatcher.drain(),
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { toolRegistry } = require('../lib/toolRegistry');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
 
 const ChatSchema = new mongoose.Schema(
   {
@@ -34,13 +36,49 @@ const ChatSchema = new mongoose.Schema(
       {
         type: {
           type: String,
-          enum: ['user_details', 'unknown_question'],
+          enum: toolRegistry.logTypes(),
           // required: true,
         },
         data: mongoose.Schema.Types.Mixed,
       },
     ],
 
+    // Model route chosen for this turn (absent for pre-flight redirects)
+    route: {
+      name: {
+        type: String,
+        enum: ['quick', 'standard', 'detailed'],
+      },
+      model: String,
+      maxTokens: Number,
+      temperature: Number,
+      reasons: [String],
+    },
+
+    // Token usage and estimated cost of every completion made for this turn
+    usage: {
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      totalTokens: { type: Number, default: 0 },
+      cost: { type: Number, default: 0 },
+      currency: String,
+      calls: [
+        {
+          _id: false,
+          purpose: {
+            type: String,
+            enum: ['validator', 'chat', 'summary'],
+          },
+          model: String,
+          promptTokens: Number,
+          completionTokens: Number,
+          totalTokens: Number,
+          cost: Number,
+          reported: Boolean, // false when the provider sent no usage (counted as 0)
+        },
+      ],
+    },
+
     // Session context
     messageCount: {
       type: Number,
@@ -62,32 +100,42 @@ const ChatSchema = new mongoose.Schema(
   }
 );
 
+ChatSchema.plugin(tenantScoped);
+
 // Indexes for performance
 ChatSchema.index({ timestamp: -1 }); // Most recent first
+ChatSchema.index({ tenantId: 1, timestamp: -1 }); // Tenant-scoped admin views
 ChatSchema.index({ sessionId: 1, timestamp: -1 }); // Session history
 ChatSchema.index({ userId: 1, timestamp: -1 }); // User-based queries
 
 // Static methods
-ChatSchema.statics.getRecentChats = function (limit = 50) {
-  return this.find().sort({ timestamp: -1 }).limit(limit).lean();
+ChatSchema.statics.getRecentChats = function (tenantId, limit = 50) {
+  return this.find(tenantFilter(tenantId)).sort({ timestamp: -1 }).limit(limit).lean();
 };
 
-ChatSchema.statics.getChatsBySession = function (sessionId) {
-  return this.find({ sessionId }).sort({ timestamp: 1 }).lean();
+ChatSchema.statics.getChatsBySession = function (sessionId, tenantId) {
+  return this.find({ sessionId, ...tenantFilter(tenantId) })
+    .sort({ timestamp: 1 })
+    .lean();
 };
 
-ChatSchema.statics.getConversationHistory = function (userId, sessionId, limit = 10) {
-  // Get recent conversation history for the user, prioritizing current session
-  return this.find({
-    $or: [
-      { sessionId: sessionId }, // Current session messages
-      { userId: userId }, // Recent messages from same user
-    ],
-  })
-    .sort({ timestamp: -1 }) // Most recent first
-    .limit(limit)
-    .sort({ timestamp: 1 }) // Then sort chronologically for conversation flow
-    .lean();
+// Recent turns of the current session and of the visitor's earlier sessions, kept apart and each
+// in chronological order. `limit` caps what is fetched; the context builder trims to its token budget.
+ChatSchema.statics.getConversationHistory = function (userId, sessionId, tenantId, limit = 40) {
+  const scope = tenantFilter(tenantId);
+
+  return Promise.all([
+    this.find({ sessionId, ...scope })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean(),
+    userId
+      ? this.find({ userId, sessionId: { $ne: sessionId }, ...scope })
+          .sort({ timestamp: -1 })
+          .limit(limit)
+          .lean()
+      : [],
+  ]).then(([current, prior]) => ({ current: current.reverse(), prior: prior.reverse() }));
 };
 
 ChatSchema.statics.getChatsByUser = function (userId, days = 7) {
@@ -102,27 +150,40 @@ ChatSchema.statics.getChatsByUser = function (userId, days = 7) {
     .lean();
 };
 
-ChatSchema.statics.getAnalytics = function () {
+ChatSchema.statics.getAnalytics = function (tenantId) {
+  const scope = tenantFilter(tenantId);
   const now = new Date();
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   const thisWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
   return Promise.all([
     // Total chats
-    this.countDocuments(),
+    this.countDocuments(scope),
 
     // Chats today
-    this.countDocuments({ timestamp: { $gte: today } }),
+    this.countDocuments({ ...scope, timestamp: { $gte: today } }),
 
     // Chats this week
-    this.countDocuments({ timestamp: { $gte: thisWeek } }),
+    this.countDocuments({ ...scope, timestamp: { $gte: thisWeek } }),
 
     // Unique users
-    this.distinct('userId'),
+    this.distinct('userId', scope),
 
     // Most active sessions
-    this.aggregate([{ $group: { _id: '$sessionId', count: { $sum: 1 } } }, { $sort: { count: -1 } }, { $limit: 10 }]),
-  ]).then(([total, today, thisWeek, uniqueUsers, activeSessions]) => ({
+    this.aggregate([
+      { $match: scope },
+      { $group: { _id: '$sessionId', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+    ]),
+
+    // Turns per model route
+    this.aggregate([
+      { $match: { ...scope, 'route.name': { $exists: true } } },
+      { $group: { _id: { route: '$route.name', model: '$route.model' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+  ]).then(([total, today, thisWeek, uniqueUsers, activeSessions, routes]) => ({
     chats: {
       total,
       today,
@@ -132,9 +193,67 @@ ChatSchema.statics.getAnalytics = function () {
       uniqueUsers: uniqueUsers.length,
     },
     activeSessions,
+    routes: routes.map(r => ({ route: r._id.route, model: r._id.model, count: r.count })),
   }));
 };
 
+// Usage totals per day, user or session since `since`. Days sort chronologically, the rest by cost.
+ChatSchema.statics.getUsageRollup = function (tenantId, { since, groupBy = 'day', limit = 20 } = {}) {
+  const keys = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+    user: '$userId',
+    session: '$sessionId',
+  };
+
+  const pipeline = [
+    { $match: { ...tenantFilter(tenantId), timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: keys[groupBy],
+        turns: { $sum: 1 },
+        promptTokens: { $sum: '$usage.promptTokens' },
+        completionTokens: { $sum: '$usage.completionTokens' },
+        totalTokens: { $sum: '$usage.totalTokens' },
+        cost: { $sum: '$usage.cost' },
+        lastAt: { $max: '$timestamp' },
+      },
+    },
+    { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, totalTokens: -1 } },
+  ];
+
+  if (groupBy !== 'day') {
+    pipeline.push({ $limit: limit });
+  }
+
+  if (groupBy === 'user') {
+    pipeline.push(
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $addFields: { name: { $first: '$user.name' }, email: { $first: '$user.email' } } },
+      { $project: { user: 0 } }
+    );
+  }
+
+  return this.aggregate(pipeline);
+};
+
+// Usage per model and purpose (validator vs chat) since `since`
+ChatSchema.statics.getUsageByModel = function (tenantId, since) {
+  return this.aggregate([
+    { $match: { ...tenantFilter(tenantId), timestamp: { $gte: since } } },
+    { $unwind: '$usage.calls' },
+    {
+      $group: {
+        _id: { model: '$usage.calls.model', purpose: '$usage.calls.purpose' },
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$usage.calls.promptTokens' },
+        completionTokens: { $sum: '$usage.calls.completionTokens' },
+        cost: { $sum: '$usage.calls.cost' },
+      },
+    },
+    { $sort: { cost: -1 } },
+  ]).then(rows => rows.map(({ _id, ...row }) => ({ model: _id.model, purpose: _id.purpose, ...row })));
+};
+
 // Instance methods
 ChatSchema.methods.toPublic = function () {
   return {
@@ -143,6 +262,8 @@ ChatSchema.methods.toPublic = function () {
     userMessage: this.userMessage,
     assistantMessage: this.assistantMessage,
     toolOutputs: this.toolOutputs,
+    route: this.route,
+    usage: this.usage,
     messageCount: this.messageCount,
     timestamp: this.timestamp,
   };
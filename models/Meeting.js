@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+
+const MEETING_STATUSES = ['pending', 'confirmed', 'declined'];
+
+// A meeting a visitor requested through the book_meeting tool, awaiting the owner's decision
+const MeetingSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+
+    sessionId: String,
+
+    // Visitor contact
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    topic: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+
+    // Visitor's time zone, used for labels and the invite
+    timezone: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: MEETING_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+
+    // Owner's note when confirming or declining
+    ownerNote: {
+      type: String,
+      maxlength: 1000,
+    },
+    decidedAt: Date,
+
+    // iCalendar SEQUENCE, bumped on every status change
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+
+    // Lets the visitor download the invite without an account
+    inviteToken: {
+      type: String,
+      default: () => crypto.randomBytes(24).toString('hex'),
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'meetings',
+  }
+);
+
+MeetingSchema.plugin(tenantScoped);
+
+MeetingSchema.index({ tenantId: 1, status: 1, start: 1 });
+MeetingSchema.index({ tenantId: 1, start: 1, end: 1 });
+// Two open requests can't share a start, even when booked at the same moment
+MeetingSchema.index(
+  { tenantId: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'confirmed'] } } }
+);
+
+// Static methods
+// Pending and confirmed meetings overlapping [from, to) — they block those slots
+MeetingSchema.statics.findBusy = function (tenantId, from, to) {
+  return this.find({
+    ...tenantFilter(tenantId),
+    status: { $in: ['pending', 'confirmed'] },
+    start: { $lt: to },
+    end: { $gt: from },
+  })
+    .select('start end')
+    .lean();
+};
+
+// Insert a request unless its slot was taken meanwhile; resolves to the meeting, or null when
+// the slot is gone. The unique index catches a race on the same start; overlapping slots of
+// different lengths are settled after the insert, keeping the earlier request.
+MeetingSchema.statics.requestSlot = async function (fields) {
+  let meeting;
+  try {
+    meeting = await this.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const clash = await this.exists({
+    ...tenantFilter(meeting.tenantId),
+    _id: { $lt: meeting._id },
+    status: { $in: ['pending', 'confirmed'] },
+    start: { $lt: meeting.end },
+    end: { $gt: meeting.start },
+  });
+  if (clash) {
+    await this.deleteOne({ _id: meeting._id });
+    return null;
+  }
+  return meeting;
+};
+
+MeetingSchema.statics.getRequests = function (tenantId, { status, upcoming = false, limit = 50 } = {}) {
+  return this.find({
+    ...tenantFilter(tenantId),
+    ...(status ? { status } : {}),
+    ...(upcoming ? { start: { $gte: new Date() } } : {}),
+  })
+    .sort({ start: 1 })
+    .limit(limit);
+};
+
+MeetingSchema.statics.getStatusCounts = function (tenantId) {
+  return this.aggregate([{ $match: tenantFilter(tenantId) }, { $group: { _id: '$status', count: { $sum: 1 } } }]).then(
+    rows =>
+      rows.reduce(
+        (acc, row) => {
+          acc[row._id] = row.count;
+          return acc;
+        },
+        { pending: 0, confirmed: 0, declined: 0 }
+      )
+  );
+};
+
+// Instance methods
+MeetingSchema.methods.decide = function (status, note = '') {
+  this.status = status;
+  this.ownerNote = note || this.ownerNote;
+  this.decidedAt = new Date();
+  this.sequence += 1;
+  return this.save();
+};
+
+MeetingSchema.methods.getInvitePath = function () {
+  return `/api/meetings/${this._id}/invite.ics?token=${this.inviteToken}`;
+};
+
+MeetingSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    userId: this.userId,
+    sessionId: this.sessionId,
+    name: this.name,
+    email: this.email,
+    topic: this.topic,
+    start: this.start,
+    end: this.end,
+    timezone: this.timezone,
+    status: this.status,
+    ownerNote: this.ownerNote,
+    decidedAt: this.decidedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('Meeting', MeetingSchema);
+module.exports.MEETING_STATUSES = MEETING_STATUSES;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+
+const NOTIFICATION_EVENTS = ['email_captured', 'company_mentioned', 'unknown_question', 'meeting_requested', 'test'];
+// "quiet" is kept for alerts older versions dropped during quiet hours; they're "deferred" now
+const NOTIFICATION_STATUSES = ['sent', 'partial', 'failed', 'deduped', 'deferred', 'quiet'];
+
+// One owner notification: which channels it went to, or why it was held back
+const NotificationSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: NOTIFICATION_EVENTS,
+      required: true,
+    },
+
+    // userId or sessionId — deduplication is per visitor, event and content
+    visitorKey: String,
+    // Hash of what the alert is about (the question, the meeting), so a new one isn't taken for a repeat
+    contentKey: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    sessionId: String,
+
+    title: String,
+    text: String,
+    fields: [
+      {
+        _id: false,
+        label: String,
+        value: String,
+      },
+    ],
+
+    // Where a deferred alert goes once quiet hours are over, and when
+    channels: [String],
+    sendAfter: Date,
+    lockedUntil: Date,
+
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUSES,
+      required: true,
+      index: true,
+    },
+
+    deliveries: [
+      {
+        channel: String,
+        status: {
+          type: String,
+          enum: ['sent', 'failed'],
+        },
+        error: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    collection: 'notifications',
+  }
+);
+
+NotificationSchema.plugin(tenantScoped);
+
+NotificationSchema.index({ tenantId: 1, event: 1, visitorKey: 1, contentKey: 1, createdAt: -1 });
+NotificationSchema.index({ status: 1, sendAfter: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 }); // Auto-delete after 90 days
+
+// Static methods
+// Whether this visitor already triggered an `event` notification about the same content since
+// `since` that was delivered, or is waiting for quiet hours to end
+NotificationSchema.statics.wasSentSince = function (tenantId, event, visitorKey, contentKey, since) {
+  return this.exists({
+    ...tenantFilter(tenantId),
+    event,
+    visitorKey,
+    contentKey: contentKey || null,
+    status: { $in: ['sent', 'partial', 'deferred'] },
+    createdAt: { $gte: since },
+  }).then(Boolean);
+};
+
+// Lock the next deferred notification whose quiet hours are over, across all tenants
+NotificationSchema.statics.claimDue = function (lockMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'deferred',
+      sendAfter: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+    { sort: { sendAfter: 1 }, new: true }
+  );
+};
+
+NotificationSchema.statics.getRecent = function (tenantId, { status, limit = 50 } = {}) {
+  return this.find({ ...tenantFilter(tenantId), ...(status ? { status } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+
+const OPPORTUNITY_TYPES = ['job', 'contract', 'collaboration', 'other'];
+const OPPORTUNITY_STATUSES = ['open', 'reviewing', 'pursuing', 'declined', 'closed'];
+const SENIORITY_LEVELS = ['junior', 'mid', 'senior', 'lead', 'staff', 'principal', 'manager', 'director', 'executive'];
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+const PAY_PERIODS = ['year', 'month', 'day', 'hour'];
+
+// A role or project a recruiter, founder or collaborator pitched in chat, captured by the
+// record_opportunity tool
+const OpportunitySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    sessionId: String,
+
+    type: {
+      type: String,
+      enum: OPPORTUNITY_TYPES,
+      default: 'job',
+    },
+
+    company: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    roleTitle: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    seniority: {
+      type: String,
+      enum: SENIORITY_LEVELS,
+    },
+
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    workMode: {
+      type: String,
+      enum: WORK_MODES,
+    },
+
+    // Only what the visitor actually said; any part may be missing
+    compensation: {
+      min: Number,
+      max: Number,
+      currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        maxlength: 3,
+      },
+      period: {
+        type: String,
+        enum: PAY_PERIODS,
+      },
+    },
+
+    // Start date, interview schedule or deadline, in the visitor's words
+    timeline: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+
+    // Who to get back to — usually the visitor themselves
+    contact: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      title: {
+        type: String,
+        trim: true,
+      },
+    },
+
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    status: {
+      type: String,
+      enum: OPPORTUNITY_STATUSES,
+      default: 'open',
+      index: true,
+    },
+    ownerNote: {
+      type: String,
+      maxlength: 1000,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'opportunities',
+  }
+);
+
+OpportunitySchema.plugin(tenantScoped);
+
+OpportunitySchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+// Static methods
+// The open opportunity this visitor already described at `company`, so follow-up details
+// update it instead of creating a duplicate
+OpportunitySchema.statics.findOpenFor = function (tenantId, { userId, sessionId, company }) {
+  const escaped = company.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({
+    ...tenantFilter(tenantId),
+    ...(userId ? { userId } : { sessionId }),
+    company: { $regex: `^${escaped}$`, $options: 'i' },
+    status: { $in: ['open', 'reviewing', 'pursuing'] },
+  }).sort({ updatedAt: -1 });
+};
+
+OpportunitySchema.statics.getRecent = function (tenantId, { status, type, limit = 50 } = {}) {
+  return this.find({
+    ...tenantFilter(tenantId),
+    ...(status ? { status } : {}),
+    ...(type ? { type } : {}),
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('userId', 'name email lead.stage lead.score');
+};
+
+OpportunitySchema.statics.getStatusCounts = function (tenantId) {
+  return this.aggregate([{ $match: tenantFilter(tenantId) }, { $group: { _id: '$status', count: { $sum: 1 } } }]).then(
+    rows =>
+      rows.reduce(
+        (acc, row) => {
+          acc[row._id] = row.count;
+          return acc;
+        },
+        OPPORTUNITY_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {})
+      )
+  );
+};
+
+// Instance methods
+// Fields the visitor hasn't mentioned yet that the owner would want
+OpportunitySchema.methods.getMissingFields = function () {
+  return [
+    ['roleTitle', this.roleTitle],
+    ['location', this.location || this.workMode],
+    ['compensation', this.compensation?.min ?? this.compensation?.max],
+    ['timeline', this.timeline],
+    ['contact', this.contact?.email],
+  ]
+    .filter(([, value]) => value === undefined || value === null || value === '')
+    .map(([field]) => field);
+};
+
+OpportunitySchema.methods.toPublic = function () {
+  const user = this.populated('userId') ? this.userId : null;
+  return {
+    id: this._id,
+    userId: user ? user._id : this.userId,
+    visitor: user
+      ? { name: user.name, email: user.email, stage: user.lead?.stage, score: user.lead?.score }
+      : undefined,
+    sessionId: this.sessionId,
+    type: this.type,
+    company: this.company,
+    roleTitle: this.roleTitle,
+    seniority: this.seniority,
+    location: this.location,
+    workMode: this.workMode,
+    compensation: this.compensation,
+    timeline: this.timeline,
+    contact: this.contact,
+    summary: this.summary,
+    status: this.status,
+    ownerNote: this.ownerNote,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('Opportunity', OpportunitySchema);
+module.exports.OPPORTUNITY_TYPES = OPPORTUNITY_TYPES;
+module.exports.OPPORTUNITY_STATUSES = OPPORTUNITY_STATUSES;
+module.exports.SENIORITY_LEVELS = SENIORITY_LEVELS;
+module.exports.WORK_MODES = WORK_MODES;
+module.exports.PAY_PERIODS = PAY_PERIODS;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+
+// A cluster of near-duplicate unknown questions, triaged by the owner from the admin inbox
+const QuestionGroupSchema = new mongoose.Schema(
+  {
+    // Representative wording shown in the inbox (first question asked, editable by the owner)
+    canonicalQuestion: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+    },
+
+    // Normalized key terms used for near-duplicate matching
+    terms: [String],
+
+    status: {
+      type: String,
+      enum: ['open', 'answered', 'ignored'],
+      default: 'open',
+      index: true,
+    },
+
+    // Owner-written answer, injected into future prompts once answered
+    answer: {
+      type: String,
+      maxlength: 2000,
+    },
+    answeredAt: Date,
+
+    // Every time the question was asked
+    occurrences: [
+      {
+        question: String,
+        toolCallId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ToolCall',
+        },
+        sessionId: String,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        askedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastAskedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'questiongroups',
+  }
+);
+
+QuestionGroupSchema.plugin(tenantScoped);
+
+QuestionGroupSchema.index({ tenantId: 1, status: 1, lastAskedAt: -1 });
+QuestionGroupSchema.index({ 'occurrences.toolCallId': 1 });
+
+// Static methods
+QuestionGroupSchema.statics.getInbox = function (tenantId, { status, limit = 50 } = {}) {
+  const query = { ...tenantFilter(tenantId), ...(status ? { status } : {}) };
+  return this.find(query, { occurrences: { $slice: -5 } })
+    .sort({ count: -1, lastAskedAt: -1 })
+    .limit(limit);
+};
+
+QuestionGroupSchema.statics.getStatusCounts = function (tenantId) {
+  return this.aggregate([
+    { $match: tenantFilter(tenantId) },
+    { $group: { _id: '$status', groups: { $sum: 1 }, questions: { $sum: '$count' } } },
+  ]).then(rows =>
+    rows.reduce((acc, row) => {
+      acc[row._id] = { groups: row.groups, questions: row.questions };
+      return acc;
+    }, {})
+  );
+};
+
+QuestionGroupSchema.statics.getAnswered = function (tenantId) {
+  return this.find(
+    { ...tenantFilter(tenantId), status: 'answered' },
+    { canonicalQuestion: 1, terms: 1, answer: 1 }
+  ).lean();
+};
+
+// Instance methods
+QuestionGroupSchema.methods.addOccurrence = function ({ question, toolCallId, sessionId, userId, askedAt }) {
+  const when = askedAt || new Date();
+  this.occurrences.push({ question, toolCallId, sessionId, userId, askedAt: when });
+  this.count += 1;
+  if (!this.lastAskedAt || when > this.lastAskedAt) {
+    this.lastAskedAt = when;
+  }
+  return this;
+};
+
+QuestionGroupSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    canonicalQuestion: this.canonicalQuestion,
+    status: this.status,
+    answer: this.answer || null,
+    answeredAt: this.answeredAt || null,
+    count: this.count,
+    lastAskedAt: this.lastAskedAt,
+    occurrences: (this.occurrences || []).map(o => ({
+      question: o.question,
+      sessionId: o.sessionId,
+      userId: o.userId,
+      askedAt: o.askedAt,
+    })),
+  };
+};
+
+module.exports = mongoose.model('QuestionGroup', QuestionGroupSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScoped } = require('./tenantScope');
 
 const rateLimitSchema = new mongoose.Schema(
   {
@@ -26,8 +27,10 @@ const rateLimitSchema = new mongoose.Schema(
   }
 );
 
-// Compound indexes for efficient queries
-rateLimitSchema.index({ identifier: 1, type: 1 }, { unique: true });
+rateLimitSchema.plugin(tenantScoped);
+
+// Compound indexes for efficient queries — the same IP is counted separately per tenant
+rateLimitSchema.index({ tenantId: 1, identifier: 1, type: 1 }, { unique: true });
 rateLimitSchema.index({ dailyResetTime: 1 });
 
 module.exports = mongoose.model('RateLimit', rateLimitSchema);
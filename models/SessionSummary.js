@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { tenantScoped } = require('./tenantScope');
+
+// Rolling summary of the older turns of one chat session
+const SessionSummarySchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+
+    summary: {
+      type: String,
+      required: true,
+      maxlength: 4000,
+    },
+
+    // Timestamp of the newest chat folded into the summary; later turns are sent verbatim
+    coveredUntil: {
+      type: Date,
+      required: true,
+    },
+
+    turnsSummarized: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'sessionsummaries',
+  }
+);
+
+SessionSummarySchema.plugin(tenantScoped);
+
+SessionSummarySchema.index({ tenantId: 1, sessionId: 1 }, { unique: true });
+
+// Static methods
+SessionSummarySchema.statics.findForSession = function (sessionId, tenantId) {
+  return this.findOne({ tenantId, sessionId }).lean();
+};
+
+module.exports = mongoose.model('SessionSummary', SessionSummarySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Site-wide LLM spend per UTC day and month, shared by every tenant (they share one API bill)
+const SpendCounterSchema = new mongoose.Schema(
+  {
+    period: {
+      type: String,
+      required: true,
+      enum: ['day', 'month'],
+    },
+
+    // "2026-10-19" for days, "2026-10" for months
+    key: {
+      type: String,
+      required: true,
+    },
+
+    tokens: {
+      type: Number,
+      default: 0,
+    },
+
+    cost: {
+      type: Number,
+      default: 0,
+    },
+
+    turns: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'spendcounters',
+  }
+);
+
+SpendCounterSchema.index({ period: 1, key: 1 }, { unique: true });
+
+function periodKeys(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+// Static methods
+SpendCounterSchema.statics.periodKeys = periodKeys;
+
+SpendCounterSchema.statics.addUsage = function ({ totalTokens = 0, cost = 0 }, date = new Date()) {
+  const keys = periodKeys(date);
+  return Promise.all(
+    ['day', 'month'].map(period =>
+      this.updateOne({ period, key: keys[period] }, { $inc: { tokens: totalTokens, cost, turns: 1 } }, { upsert: true })
+    )
+  );
+};
+
+SpendCounterSchema.statics.getCurrent = function (date = new Date()) {
+  const keys = periodKeys(date);
+  return this.find({
+    $or: [
+      { period: 'day', key: keys.day },
+      { period: 'month', key: keys.month },
+    ],
+  })
+    .lean()
+    .then(rows => {
+      const empty = { tokens: 0, cost: 0, turns: 0 };
+      const find = period => rows.find(row => row.period === period) || empty;
+      const pick = ({ tokens, cost, turns }) => ({ tokens, cost, turns });
+      return { day: pick(find('day')), month: pick(find('month')) };
+    });
+};
+
+module.exports = mongoose.model('SpendCounter', SpendCounterSchema);
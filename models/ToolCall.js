@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+const { toolRegistry } = require('../lib/toolRegistry');
 
 const ToolCallSchema = new mongoose.Schema(
   {
     // Tool identification
     type: {
       type: String,
-      enum: ['user_details', 'unknown_question', 'irrelevant_question'],
+      enum: toolRegistry.logTypes(),
       required: true,
       index: true,
     },
@@ -19,6 +21,29 @@ const ToolCallSchema = new mongoose.Schema(
 
       // For unknown_question
       question: String,
+
+      // For remember_fact
+      factKind: String,
+      factValue: String,
+
+      // For meeting_request
+      meetingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meeting',
+      },
+
+      // For resume_share: ties the issued link to its downloads on the User
+      linkId: String,
+
+      // For opportunity
+      opportunityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Opportunity',
+      },
+
+      // For failed calls: the tool the model asked for and its raw arguments
+      toolName: String,
+      arguments: String,
     },
 
     // Context
@@ -49,9 +74,14 @@ const ToolCallSchema = new mongoose.Schema(
     result: {
       status: {
         type: String,
-        enum: ['success', 'error'],
+        enum: ['success', 'warning', 'error'],
         default: 'success',
       },
+      // Why a call failed before or while its handler ran
+      errorCode: {
+        type: String,
+        enum: ['invalid_json', 'invalid_arguments', 'unknown_tool', 'tool_timeout', 'tool_failed', 'max_tool_rounds'],
+      },
       message: String,
       processingTime: Number, // in milliseconds
     },
@@ -69,56 +99,66 @@ const ToolCallSchema = new mongoose.Schema(
   }
 );
 
+ToolCallSchema.plugin(tenantScoped);
+
 // Indexes for performance
 ToolCallSchema.index({ timestamp: -1 });
+ToolCallSchema.index({ tenantId: 1, timestamp: -1 });
 ToolCallSchema.index({ type: 1, timestamp: -1 });
 ToolCallSchema.index({ sessionId: 1, timestamp: -1 });
 ToolCallSchema.index({ userId: 1, timestamp: -1 });
 ToolCallSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 }); // Auto-delete after 90 days
 
 // Static methods
-ToolCallSchema.statics.getRecentToolCalls = function (limit = 50) {
-  return this.find().sort({ timestamp: -1 }).limit(limit).lean();
+ToolCallSchema.statics.getRecentToolCalls = function (tenantId, limit = 50) {
+  return this.find(tenantFilter(tenantId)).sort({ timestamp: -1 }).limit(limit).lean();
 };
 
-ToolCallSchema.statics.getToolCallsByType = function (type, limit = 50) {
-  return this.find({ type }).sort({ timestamp: -1 }).limit(limit).lean();
+ToolCallSchema.statics.getToolCallsByType = function (type, tenantId, limit = 50) {
+  return this.find({ type, ...tenantFilter(tenantId) })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
 };
 
-ToolCallSchema.statics.getToolCallsBySession = function (sessionId) {
-  return this.find({ sessionId }).sort({ timestamp: 1 }).lean();
+ToolCallSchema.statics.getToolCallsBySession = function (sessionId, tenantId) {
+  return this.find({ sessionId, ...tenantFilter(tenantId) })
+    .sort({ timestamp: 1 })
+    .lean();
 };
 
 ToolCallSchema.statics.getToolCallsByUser = function (userId) {
   return this.find({ userId }).sort({ timestamp: -1 }).lean();
 };
 
-ToolCallSchema.statics.getToolAnalytics = function () {
+ToolCallSchema.statics.getToolAnalytics = function (tenantId) {
+  const scope = tenantFilter(tenantId);
   const now = new Date();
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   const thisWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
   return Promise.all([
     // Total tool calls
-    this.countDocuments(),
+    this.countDocuments(scope),
 
     // User details recorded
-    this.countDocuments({ type: 'user_details' }),
+    this.countDocuments({ ...scope, type: 'user_details' }),
 
     // Unknown questions
-    this.countDocuments({ type: 'unknown_question' }),
+    this.countDocuments({ ...scope, type: 'unknown_question' }),
 
     // Irrelevant questions
-    this.countDocuments({ type: 'irrelevant_question' }),
+    this.countDocuments({ ...scope, type: 'irrelevant_question' }),
 
     // Tool calls today
-    this.countDocuments({ timestamp: { $gte: today } }),
+    this.countDocuments({ ...scope, timestamp: { $gte: today } }),
 
     // Tool calls this week
-    this.countDocuments({ timestamp: { $gte: thisWeek } }),
+    this.countDocuments({ ...scope, timestamp: { $gte: thisWeek } }),
 
     // Success rate
     this.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$result.status',
@@ -129,7 +169,7 @@ ToolCallSchema.statics.getToolAnalytics = function () {
 
     // Most common unknown questions
     this.aggregate([
-      { $match: { type: 'unknown_question' } },
+      { $match: { ...scope, type: 'unknown_question' } },
       { $group: { _id: '$data.question', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
@@ -137,7 +177,7 @@ ToolCallSchema.statics.getToolAnalytics = function () {
 
     // Most common irrelevant questions
     this.aggregate([
-      { $match: { type: 'irrelevant_question' } },
+      { $match: { ...scope, type: 'irrelevant_question' } },
       { $group: { _id: '$data.question', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TENANT_ID, tenantScoped, tenantFilter } = require('./tenantScope');
+
+// company and role hold one current value; the other kinds are lists
+const FACT_KINDS = ['company', 'role', 'interest', 'topic_discussed', 'looking_for', 'other'];
+const SINGLE_VALUE_FACTS = ['company', 'role'];
+const MAX_FACTS_PER_KIND = 10;
+const MAX_RESUME_DOWNLOADS = 50;
+// Where a visitor sits in the owner's pipeline, in order
+const LEAD_STAGES = ['new', 'qualified', 'contacted', 'interviewing', 'closed'];
+const MAX_STAGE_HISTORY = 50;
+const EMAIL_KINDS = ['corporate', 'free', 'disposable'];
 
 const UserSchema = new mongoose.Schema(
   {
@@ -48,16 +59,110 @@ const UserSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Set once facts have been extracted from this session's transcript
+        memoryExtractedAt: Date,
       },
     ],
 
-    // User token for identification
-    token: {
-      type: String,
-      unique: true,
-      index: true,
+    // Long-term memory about the visitor, carried into later sessions
+    facts: [
+      {
+        kind: {
+          type: String,
+          enum: FACT_KINDS,
+          required: true,
+        },
+        value: {
+          type: String,
+          required: true,
+          maxlength: 300,
+        },
+        source: {
+          type: String,
+          enum: ['tool', 'extraction'],
+          default: 'tool',
+        },
+        sessionId: String,
+        updatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Every fetch of a signed resume link issued to this visitor (newest MAX_RESUME_DOWNLOADS)
+    resumeDownloads: [
+      {
+        linkId: String,
+        downloadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        ip: String,
+        userAgent: String,
+      },
+    ],
+
+    // What the email address says about the lead, checked offline when it's recorded
+    emailQuality: {
+      domain: String,
+      kind: {
+        type: String,
+        enum: EMAIL_KINDS,
+      },
+      // A shared mailbox like jobs@ or hr@ rather than a person
+      roleAddress: Boolean,
+      // The address the visitor probably meant, when the domain looks mistyped
+      suggestion: String,
+      checkedAt: Date,
     },
 
+    // Pipeline stage the owner moves the visitor through, and the automatic lead score
+    lead: {
+      stage: {
+        type: String,
+        enum: LEAD_STAGES,
+        default: 'new',
+      },
+      stageChangedAt: Date,
+      stageHistory: [
+        {
+          stage: {
+            type: String,
+            enum: LEAD_STAGES,
+          },
+          from: String,
+          note: {
+            type: String,
+            maxlength: 500,
+          },
+          changedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      score: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      // What the score is made of, e.g. { signal: 'email', points: 25 }
+      signals: [
+        {
+          _id: false,
+          signal: String,
+          points: Number,
+          detail: String,
+        },
+      ],
+      scoredAt: Date,
+    },
+
+    // User token for identification, unique within the tenant (see the index below)
+    token: String,
+
     // User metadata
     userInfo: {
       firstSeenIP: String,
@@ -104,16 +209,22 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+UserSchema.plugin(tenantScoped);
+
 // Indexes
+// The same token may turn up on two tenants' sites; each gets its own visitor
+UserSchema.index({ token: 1, tenantId: 1 }, { unique: true });
+UserSchema.index({ tenantId: 1, email: 1 });
 UserSchema.index({ lastInteraction: -1 });
 UserSchema.index({ totalInteractions: -1 });
 UserSchema.index({ 'userInfo.firstSeenIP': 1 });
+UserSchema.index({ tenantId: 1, 'lead.stage': 1, 'lead.score': -1 });
 
 // Static methods
-UserSchema.statics.findOrCreateByToken = async function (token, userInfo) {
+UserSchema.statics.findOrCreateByToken = async function (token, userInfo, tenantId = DEFAULT_TENANT_ID) {
   try {
-    // Try to find existing user by token
-    let user = await this.findOne({ token });
+    // Try to find existing user by token within the tenant
+    let user = token ? await this.findOne({ token, ...tenantFilter(tenantId) }) : null;
 
     if (user) {
       // Update existing user's last seen info
@@ -127,6 +238,7 @@ UserSchema.statics.findOrCreateByToken = async function (token, userInfo) {
       const newToken = token || crypto.randomBytes(32).toString('hex');
 
       user = new this({
+        tenantId,
         token: newToken,
         userInfo: {
           firstSeenIP: userInfo?.ip,
@@ -142,7 +254,7 @@ UserSchema.statics.findOrCreateByToken = async function (token, userInfo) {
   } catch (error) {
     if (error.code === 11000) {
       // Duplicate token error, try to find and update
-      const user = await this.findOne({ token });
+      const user = await this.findOne({ token, ...tenantFilter(tenantId) });
       if (user) {
         return { user, isNew: false };
       }
@@ -151,20 +263,22 @@ UserSchema.statics.findOrCreateByToken = async function (token, userInfo) {
   }
 };
 
-UserSchema.statics.findByToken = async function (token) {
-  return this.findOne({ token });
+UserSchema.statics.findByToken = async function (token, tenantId) {
+  return this.findOne({ token, ...tenantFilter(tenantId) });
 };
 
-UserSchema.statics.getRecentUsers = function (limit = 50) {
-  return this.find().sort({ lastInteraction: -1 }).limit(limit).lean();
+UserSchema.statics.getRecentUsers = function (tenantId, limit = 50) {
+  return this.find(tenantFilter(tenantId)).sort({ lastInteraction: -1 }).limit(limit).lean();
 };
 
-UserSchema.statics.getUserStats = function () {
+UserSchema.statics.getUserStats = function (tenantId) {
+  const scope = tenantFilter(tenantId);
+
   return Promise.all([
-    this.countDocuments(),
-    this.countDocuments({ status: 'active' }),
-    this.aggregate([{ $group: { _id: null, avgMessages: { $avg: '$totalMessages' } } }]),
-    this.find().sort({ totalMessages: -1 }).limit(10).lean(),
+    this.countDocuments(scope),
+    this.countDocuments({ ...scope, status: 'active' }),
+    this.aggregate([{ $match: scope }, { $group: { _id: null, avgMessages: { $avg: '$totalMessages' } } }]),
+    this.find(scope).sort({ totalMessages: -1 }).limit(10).lean(),
   ]).then(([total, active, avgResult, topUsers]) => ({
     total,
     active,
@@ -173,6 +287,48 @@ UserSchema.statics.getUserStats = function () {
   }));
 };
 
+// Resume downloads across the tenant's visitors, newest first, with who fetched it
+UserSchema.statics.getResumeDownloads = function (tenantId, limit = 100) {
+  return this.aggregate([
+    { $match: { ...tenantFilter(tenantId), 'resumeDownloads.0': { $exists: true } } },
+    { $unwind: '$resumeDownloads' },
+    { $sort: { 'resumeDownloads.downloadedAt': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        name: 1,
+        email: 1,
+        linkId: '$resumeDownloads.linkId',
+        downloadedAt: '$resumeDownloads.downloadedAt',
+        ip: '$resumeDownloads.ip',
+        userAgent: '$resumeDownloads.userAgent',
+      },
+    },
+  ]);
+};
+
+// Query filter for a pipeline stage; visitors from before the pipeline existed count as new
+UserSchema.statics.leadStageFilter = function (stage) {
+  return stage === 'new' ? { 'lead.stage': { $in: ['new', null] } } : { 'lead.stage': stage };
+};
+
+UserSchema.statics.getLeadStageCounts = function (tenantId) {
+  return this.aggregate([
+    { $match: tenantFilter(tenantId) },
+    { $group: { _id: { $ifNull: ['$lead.stage', 'new'] }, count: { $sum: 1 } } },
+  ]).then(rows =>
+    rows.reduce(
+      (acc, row) => {
+        acc[row._id] = row.count;
+        return acc;
+      },
+      LEAD_STAGES.reduce((acc, stage) => ({ ...acc, [stage]: 0 }), {})
+    )
+  );
+};
+
 // Instance methods
 UserSchema.methods.addSession = function (sessionId) {
   // Check if session already exists
@@ -242,6 +398,113 @@ UserSchema.methods.updateUserDetails = function (email = '', name = '', notes =
   return this.save();
 };
 
+// Add or refresh a fact. Single-value kinds are replaced; list kinds skip case-insensitive
+// duplicates and keep the newest MAX_FACTS_PER_KIND. Does not save.
+UserSchema.methods.rememberFact = function (kind, value, { source = 'tool', sessionId = null } = {}) {
+  const text = (value || '').trim().slice(0, 300);
+  if (!FACT_KINDS.includes(kind) || !text) {
+    return false;
+  }
+
+  const sameKind = this.facts.filter(f => f.kind === kind);
+  const existing = SINGLE_VALUE_FACTS.includes(kind)
+    ? sameKind[0]
+    : sameKind.find(f => f.value.toLowerCase() === text.toLowerCase());
+
+  if (existing) {
+    existing.value = text;
+    existing.source = source;
+    existing.sessionId = sessionId || existing.sessionId;
+    existing.updatedAt = new Date();
+  } else {
+    this.facts.push({ kind, value: text, source, sessionId, updatedAt: new Date() });
+    if (sameKind.length + 1 > MAX_FACTS_PER_KIND) {
+      const oldest = sameKind.reduce((a, b) => (a.updatedAt <= b.updatedAt ? a : b));
+      this.facts.pull(oldest._id);
+    }
+  }
+
+  return true;
+};
+
+// What's still needed before the resume can be shared: a name, and a company remembered as a
+// fact (free-form notes may say anything, so they don't count)
+UserSchema.methods.getResumeGaps = function () {
+  const gaps = [];
+  if (!this.name) {
+    gaps.push('name');
+  }
+  if (!this.facts.some(f => f.kind === 'company' && f.value)) {
+    gaps.push('company');
+  }
+  return gaps;
+};
+
+UserSchema.methods.recordResumeDownload = function ({ linkId, ip, userAgent }) {
+  this.resumeDownloads.push({ linkId, ip, userAgent, downloadedAt: new Date() });
+  if (this.resumeDownloads.length > MAX_RESUME_DOWNLOADS) {
+    this.resumeDownloads.splice(0, this.resumeDownloads.length - MAX_RESUME_DOWNLOADS);
+  }
+  return this.save();
+};
+
+// Move the visitor to another pipeline stage, keeping a history of moves. Does not save.
+UserSchema.methods.setLeadStage = function (stage, note = '') {
+  const from = this.lead.stage || 'new';
+  this.lead.stage = stage;
+  this.lead.stageChangedAt = new Date();
+  this.lead.stageHistory.push({ stage, from, note: note || undefined, changedAt: this.lead.stageChangedAt });
+  if (this.lead.stageHistory.length > MAX_STAGE_HISTORY) {
+    this.lead.stageHistory.splice(0, this.lead.stageHistory.length - MAX_STAGE_HISTORY);
+  }
+};
+
+// Store the result of lib/emailQuality's checkEmail for the current email. Does not save.
+UserSchema.methods.setEmailQuality = function ({ domain, kind, roleAddress, suggestion }) {
+  this.emailQuality = { domain, kind, roleAddress, suggestion: suggestion || undefined, checkedAt: new Date() };
+};
+
+// Summary row for the admin lead pipeline
+UserSchema.methods.toLead = function () {
+  const fact = kind => this.facts.find(f => f.kind === kind)?.value || null;
+  return {
+    id: this._id,
+    name: this.name || null,
+    email: this.email || null,
+    emailKind: this.emailQuality?.kind || null,
+    roleAddress: Boolean(this.emailQuality?.roleAddress),
+    emailSuggestion: this.emailQuality?.suggestion || null,
+    company: fact('company'),
+    role: fact('role'),
+    stage: this.lead.stage || 'new',
+    stageChangedAt: this.lead.stageChangedAt,
+    score: this.lead.score || 0,
+    signals: this.lead.signals,
+    scoredAt: this.lead.scoredAt,
+    totalMessages: this.totalMessages,
+    sessionsCount: this.sessions.length,
+    lastActivity: this.lastActivity,
+    tags: this.tags,
+    status: this.status,
+    createdAt: this.createdAt,
+  };
+};
+
+// What the assistant knows about this visitor when answering in `sessionId`
+UserSchema.methods.getAssistantContext = function (sessionId) {
+  const lastVisit = this.sessions
+    .filter(s => s.sessionId !== sessionId && s.messageCount > 0)
+    .reduce((latest, s) => (!latest || s.lastActivity > latest ? s.lastActivity : latest), null);
+
+  return {
+    name: this.name,
+    email: this.email,
+    notes: this.notes,
+    facts: this.facts.map(f => ({ kind: f.kind, value: f.value, updatedAt: f.updatedAt })),
+    lastVisit,
+  };
+};
+
 UserSchema.methods.toPublic = function () {
   return {
     id: this._id,
@@ -258,3 +521,6 @@ UserSchema.methods.toPublic = function () {
 };
 
 module.exports = mongoose.model('User', UserSchema);
+module.exports.FACT_KINDS = FACT_KINDS;
+module.exports.LEAD_STAGES = LEAD_STAGES;
+module.exports.EMAIL_KINDS = EMAIL_KINDS;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+const { WEBHOOK_EVENTS } = require('./WebhookSubscription');
+
+// pending → delivered, or dead once every retry has failed
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// One event queued for one subscription, with its retry state
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+      index: true,
+    },
+
+    event: {
+      type: String,
+      enum: [...WEBHOOK_EVENTS, 'webhook.test'],
+      required: true,
+    },
+
+    // Shared by every subscription's copy of the same event, sent as X-Webhook-Id
+    eventId: {
+      type: String,
+      required: true,
+    },
+
+    payload: mongoose.Schema.Types.Mixed,
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+      index: true,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a worker is sending, so two instances don't send the same delivery
+    lockedUntil: Date,
+
+    lastError: String,
+    lastStatusCode: Number,
+    deliveredAt: Date,
+  },
+  {
+    timestamps: true,
+    collection: 'webhookdeliveries',
+  }
+);
+
+WebhookDeliverySchema.plugin(tenantScoped);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ tenantId: 1, status: 1, updatedAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 }); // Auto-delete after 30 days
+
+// Static methods
+// Lock the next delivery that is due, across all tenants
+WebhookDeliverySchema.statics.claimDue = function (lockMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+WebhookDeliverySchema.statics.getRecent = function (tenantId, { status, subscriptionId, limit = 50 } = {}) {
+  return this.find({
+    ...tenantFilter(tenantId),
+    ...(status ? { status } : {}),
+    ...(subscriptionId ? { subscriptionId } : {}),
+  })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Instance methods
+WebhookDeliverySchema.methods.markDelivered = function (statusCode) {
+  this.status = 'delivered';
+  this.attempts += 1;
+  this.lastStatusCode = statusCode;
+  this.lastError = undefined;
+  this.deliveredAt = new Date();
+  this.lockedUntil = undefined;
+  return this.save();
+};
+
+// Schedule the next try, or give up once maxAttempts is reached
+WebhookDeliverySchema.methods.markFailed = function ({ error, statusCode, retryAt }) {
+  this.attempts += 1;
+  this.lastError = error;
+  this.lastStatusCode = statusCode;
+  this.lockedUntil = undefined;
+  if (retryAt) {
+    this.nextAttemptAt = retryAt;
+  } else {
+    this.status = 'dead';
+  }
+  return this.save();
+};
+
+// Put a dead delivery back in the queue with a fresh set of retries
+WebhookDeliverySchema.methods.requeue = function () {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lockedUntil = undefined;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { tenantScoped, tenantFilter } = require('./tenantScope');
+
+const WEBHOOK_EVENTS = ['chat.completed', 'user.updated', 'tool.called', 'rate_limit.exceeded', 'session.started'];
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// An outside system (CRM, automation, own service) that receives signed event payloads
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Empty means every event
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      default: [],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // HMAC key for the X-Webhook-Signature header; only shown on create and rotate
+    secret: {
+      type: String,
+      default: generateSecret,
+    },
+
+    // Delivery health
+    lastDeliveryAt: Date,
+    lastFailureAt: Date,
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'webhooksubscriptions',
+  }
+);
+
+WebhookSubscriptionSchema.plugin(tenantScoped);
+
+WebhookSubscriptionSchema.index({ tenantId: 1, active: 1 });
+
+// Static methods
+// Active subscriptions of a tenant that want `event`
+WebhookSubscriptionSchema.statics.findForEvent = function (tenantId, event) {
+  return this.find({
+    ...tenantFilter(tenantId),
+    active: true,
+    $or: [{ events: event }, { events: { $size: 0 } }],
+  }).lean();
+};
+
+WebhookSubscriptionSchema.statics.recordOutcome = function (id, delivered) {
+  return this.updateOne(
+    { _id: id },
+    delivered
+      ? { $set: { lastDeliveryAt: new Date(), consecutiveFailures: 0 } }
+      : { $set: { lastFailureAt: new Date() }, $inc: { consecutiveFailures: 1 } }
+  );
+};
+
+// Instance methods
+WebhookSubscriptionSchema.methods.rotateSecret = function () {
+  this.secret = generateSecret();
+  return this.save();
+};
+
+WebhookSubscriptionSchema.methods.toPublic = function ({ withSecret = false } = {}) {
+  return {
+    id: this._id,
+    url: this.url,
+    events: this.events,
+    description: this.description,
+    active: this.active,
+    ...(withSecret ? { secret: this.secret } : {}),
+    lastDeliveryAt: this.lastDeliveryAt,
+    lastFailureAt: this.lastFailureAt,
+    consecutiveFailures: this.consecutiveFailures,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const RateLimit = require('./RateLimit');
+const User = require('./User');
+const { DEFAULT_TENANT_ID } = require('./tenantScope');
+
+// Drop an index left behind by an older schema; mongoose creates new indexes but never removes old ones
+async function dropIndexIfExists(model, name) {
+  // A collection that doesn't exist yet has nothing to drop
+  const indexes = await model.collection.indexes().catch(() => []);
+  if (!indexes.some(index => index.name === name)) {
+    return false;
+  }
+  await model.collection.dropIndex(name);
+  console.log(`🧹 Dropped old index ${model.collection.collectionName}.${name}`);
+  return true;
+}
+
+// One-off fixes for data written before multi-tenancy; each step is a no-op once applied
+async function runMigrations() {
+  // Rate limits are counted per tenant: { identifier, type } is only unique within a tenant
+  const rateLimits = await RateLimit.updateMany({ tenantId: null }, { $set: { tenantId: DEFAULT_TENANT_ID } });
+  if (rateLimits.modifiedCount > 0) {
+    console.log(`🧹 Assigned ${rateLimits.modifiedCount} rate limit counters to the default tenant`);
+  }
+  if (await dropIndexIfExists(RateLimit, 'identifier_1_type_1')) {
+    await RateLimit.createIndexes();
+  }
+
+  // Visitor tokens are unique per tenant, no longer across the whole database
+  const users = await User.updateMany({ tenantId: null }, { $set: { tenantId: DEFAULT_TENANT_ID } });
+  if (users.modifiedCount > 0) {
+    console.log(`🧹 Assigned ${users.modifiedCount} visitors to the default tenant`);
+  }
+  if (await dropIndexIfExists(User, 'token_1')) {
+    await User.createIndexes();
+  }
+}
+
+// Run the migrations once, as soon as the first connection (or a retried one) opens
+function runMigrationsOnConnect() {
+  mongoose.connection.once('open', () => {
+    runMigrations().catch(error => console.error('❌ Migration failed:', error.message));
+  });
+}
+
+module.exports = {
+  runMigrations,
+  runMigrationsOnConnect,
+};
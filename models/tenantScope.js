@@ -0,0 +1,27 @@
+const DEFAULT_TENANT_ID = 'default';
+
+// Query filter for a tenant's documents. Documents written before multi-tenancy
+// have no tenantId and belong to the default tenant.
+function tenantFilter(tenantId = DEFAULT_TENANT_ID) {
+  if (tenantId === DEFAULT_TENANT_ID) {
+    return { tenantId: { $in: [DEFAULT_TENANT_ID, null] } };
+  }
+  return { tenantId };
+}
+
+// Schema plugin adding the tenantId field shared by every tenant-scoped model
+function tenantScoped(schema) {
+  schema.add({
+    tenantId: {
+      type: String,
+      default: DEFAULT_TENANT_ID,
+      index: true,
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  tenantFilter,
+  tenantScoped,
+};
@@ -0,0 +1,150 @@
+// End-to-end check of the chat endpoints against the offline mock provider: starts the server with
+// LLM_PROVIDER=mock and the default script, sends a few scripted turns to /api/chat and
+// /api/chat/stream, and exits non-zero on the first mismatch. Needs MongoDB, like the server does.
+const { spawn } = require('child_process');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PORT = parseInt(process.env.SMOKE_PORT) || 8799;
+const BASE_URL = `http://localhost:${PORT}`;
+const STARTUP_TIMEOUT_MS = 15000;
+const REQUEST_TIMEOUT_MS = 20000;
+
+// Turns for POST /api/chat: the reply must include `expect` and must not include `reject`
+const CHAT_CASES = [
+  {
+    message: "We're hiring a backend engineer at Acme",
+    expect: "I've noted the backend engineer role at Acme",
+  },
+  {
+    // Lower-case words are never taken for a company name
+    message: 'We are hiring a backend engineer at the moment',
+    reject: 'role at',
+  },
+  {
+    message: 'Hi, my name is Dana',
+    expect: 'Nice to meet you, Dana!',
+  },
+];
+
+// Turns for POST /api/chat/stream: the content events must join up to `expect`
+const STREAM_CASES = [
+  {
+    message: "What's your tech stack?",
+    expect: 'Mostly Node.js and MongoDB on the backend.',
+  },
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function startServer() {
+  const server = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+    env: {
+      ...process.env,
+      LLM_PROVIDER: 'mock',
+      MOCK_SCRIPT: path.join(ROOT_DIR, 'config', 'mock-script.json'),
+      PORT: String(PORT),
+      NODE_ENV: 'development',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  // Kept for the failure report rather than interleaved with the results
+  server.output = [];
+  server.stdout.on('data', data => server.output.push(data.toString()));
+  server.stderr.on('data', data => server.output.push(data.toString()));
+  return server;
+}
+
+async function waitForHealth() {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${BASE_URL}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet
+    }
+    await sleep(250);
+  }
+  throw new Error(`Server did not answer /health within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+function post(route, body) {
+  return fetch(`${BASE_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+}
+
+async function initSession() {
+  const response = await post('/api/chat/init', {});
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`/api/chat/init answered ${response.status}: ${data.error} (is MongoDB running?)`);
+  }
+  return data;
+}
+
+async function checkChat(session, { message, expect, reject }) {
+  const response = await post('/api/chat', { message, sessionId: session.sessionId, userToken: session.userToken });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`/api/chat answered ${response.status} to "${message}": ${data.error}`);
+  }
+  if ((expect && !data.message.includes(expect)) || (reject && data.message.includes(reject))) {
+    throw new Error(`/api/chat replied "${data.message}" to "${message}"`);
+  }
+  console.log(`✅ /api/chat "${message}" → "${data.message}"`);
+}
+
+async function checkStream(session, { message, expect }) {
+  const response = await post('/api/chat/stream', {
+    message,
+    sessionId: session.sessionId,
+    userToken: session.userToken,
+  });
+  const events = (await response.text())
+    .split('\n\n')
+    .filter(block => block.startsWith('data: '))
+    .map(block => JSON.parse(block.slice('data: '.length)));
+
+  const failed = events.find(event => event.type === 'error');
+  if (failed) {
+    throw new Error(`/api/chat/stream sent an error to "${message}": ${failed.message}`);
+  }
+  const text = events
+    .filter(event => event.type === 'content')
+    .map(event => event.text)
+    .join('');
+  if (text !== expect || !events.some(event => event.type === 'done')) {
+    throw new Error(`/api/chat/stream streamed "${text}" to "${message}"`);
+  }
+  console.log(`✅ /api/chat/stream "${message}" → "${text}"`);
+}
+
+async function main() {
+  const server = startServer();
+  try {
+    await waitForHealth();
+    const session = await initSession();
+    for (const testCase of CHAT_CASES) {
+      await checkChat(session, testCase);
+    }
+    for (const testCase of STREAM_CASES) {
+      await checkStream(session, testCase);
+    }
+    console.log('🎭 Mock smoke test passed');
+  } catch (error) {
+    console.error(server.output.join(''));
+    console.error(`❌ Mock smoke test failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    server.kill();
+  }
+}
+
+main();
@@ -4,6 +4,12 @@ require('dotenv').config();
 
 // Initialize MongoDB connection
 const database = require('./models/database');
+const { getPersona } = require('./lib/persona');
+const tenants = require('./lib/tenants');
+const { resolveLLMConfig } = require('./lib/providers');
+const { startDispatcher } = require('./lib/webhooks');
+const { startDeferredFlush } = require('./lib/notifications');
+const { runMigrationsOnConnect } = require('./models/migrations');
 
 const app = express();
 
@@ -13,7 +19,8 @@ app.set('trust proxy', true);
 // Middleware
 app.use(
   cors({
-    origin: process.env.FRONTEND_URL || '*', // Configure this to your frontend URL in production
+    // Allow any origin registered by a tenant (FRONTEND_URL for single-owner deployments)
+    origin: (origin, callback) => callback(null, tenants.isAllowedOrigin(origin)),
     credentials: true,
   })
 );
@@ -42,15 +49,21 @@ app.get('/health', (req, res) => {
 // API Routes
 const chatRoutes = require('./api/chat');
 const adminRoutes = require('./api/admin');
+const meetingRoutes = require('./api/meetings');
+const resumeRoutes = require('./api/resume');
 
 app.use('/api', chatRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/resume', resumeRoutes);
 
 // Root endpoint with basic info
 app.get('/', (req, res) => {
+  const ownerName = getPersona((tenants.resolve(req) || tenants.list()[0]).personaFile).getName();
+
   res.json({
-    name: `${process.env.USER_NAME} AI Assistant Backend`,
-    description: `Backend API for the AI assistant integrated into ${process.env.USER_NAME}'s portfolio website`,
+    name: `${ownerName} AI Assistant Backend`,
+    description: `Backend API for the AI assistant integrated into ${ownerName}'s portfolio website`,
     version: '1.0.0',
     endpoints: {
       chat: {
@@ -107,16 +120,34 @@ app.use((req, res) => {
   });
 });
 
+// Bring data written by older versions up to date once the database is reachable
+runMigrationsOnConnect();
 
 // Kick off DB connection immediately — runs on cold start before any request arrives.
 // waitForConnection() in each route handler waits for this to complete.
 database.connect().catch(err => console.error('❌ Database connection failed:', err.message));
 
+// Retry queued webhook deliveries in the background (each event is also sent right away)
+startDispatcher();
+
+// Send owner notifications held back during quiet hours once they're over
+startDeferredFlush();
+
+// Validate tenants and their persona profiles up front — a broken config should fail the deploy, not the first chat
+tenants.load().forEach(tenant => {
+  console.log(`🧑 Tenant "${tenant.id}" loaded with persona ${getPersona(tenant.personaFile).getName()}`);
+});
+
 // Validate environment variables
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️  Warning: OPENAI_API_KEY not set in environment variables');
+const llmConfig = resolveLLMConfig('chat');
+if (llmConfig.provider === 'mock') {
+  console.log('🎭 Using the scripted mock LLM provider — replies come from the mock script, not a model');
+} else if (!llmConfig.apiKey) {
+  console.warn(
+    `⚠️  Warning: no API key set for LLM provider "${llmConfig.provider}" (LLM_API_KEY or provider default)`
+  );
 }
-if (!process.env.ADMIN_SECRET || process.env.ADMIN_SECRET === 'your-secret-key-here') {
+if (tenants.list().some(tenant => tenant.adminSecret === 'your-secret-key-here')) {
   console.warn('⚠️  Warning: ADMIN_SECRET not set or using default. Please set a secure secret.');
 }
 if (!process.env.MONGODB_URI && !process.env.DATABASE_URL) {
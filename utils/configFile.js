@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { interpolateEnv } = require('./env');
+
+// Last load of each config file: { mtimeMs, config } or, for a broken one, { mtimeMs, error }
+const loaded = new Map();
+
+// Read a JSON config file with ${VAR} placeholders filled from the environment, cached until the
+// file changes on disk. `defaults` fill in missing top-level settings; `validate(config)` returns
+// a list of problems, and any problem (or broken JSON) throws. A broken file keeps throwing the
+// same error, without being read again, until it's edited. `label` names the file in the error.
+function loadJsonConfig(filePath, { label = 'config file', validate = () => [], defaults = {} } = {}) {
+  const resolved = path.resolve(filePath);
+  const { mtimeMs } = fs.statSync(resolved);
+  const cached = loaded.get(resolved);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    if (cached.error) {
+      throw cached.error;
+    }
+    return cached.config;
+  }
+
+  try {
+    const config = { ...defaults, ...interpolateEnv(JSON.parse(fs.readFileSync(resolved, 'utf8'))) };
+    const errors = validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${label} ${resolved}:\n- ${errors.join('\n- ')}`);
+    }
+    loaded.set(resolved, { mtimeMs, config });
+    return config;
+  } catch (error) {
+    loaded.set(resolved, { mtimeMs, error });
+    throw error;
+  }
+}
+
+// getX(filePath) for modules that keep one instance per file or directory, shared across requests
+function instancePerPath(create) {
+  const instances = new Map();
+  return filePath => {
+    const resolved = path.resolve(filePath);
+    if (!instances.has(resolved)) {
+      instances.set(resolved, create(resolved));
+    }
+    return instances.get(resolved);
+  };
+}
+
+module.exports = {
+  loadJsonConfig,
+  instancePerPath,
+};
@@ -0,0 +1,20 @@
+// Replace ${VAR} placeholders with environment values so secrets stay out of committed config files
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, key) => process.env[key] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = interpolateEnv(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+module.exports = {
+  interpolateEnv,
+};
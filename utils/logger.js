@@ -2,6 +2,7 @@ const Chat = require('../models/Chat');
 const ToolCall = require('../models/ToolCall');
 const User = require('../models/User');
 const database = require('../models/database');
+const { DEFAULT_TENANT_ID } = require('../models/tenantScope');
 
 // Log a chat session to MongoDB
 async function logChatSession(sessionData) {
@@ -13,11 +14,14 @@ async function logChatSession(sessionData) {
     }
 
     const chatEntry = new Chat({
+      tenantId: sessionData.tenantId,
       sessionId: sessionData.sessionId,
       userId: sessionData.userId,
       userMessage: sessionData.userMessage,
       assistantMessage: sessionData.assistantMessage,
       toolOutputs: sessionData.toolOutputs || [],
+      route: sessionData.route,
+      usage: sessionData.usage,
       messageCount: sessionData.messageCount || 1,
       timestamp: new Date(),
     });
@@ -30,7 +34,7 @@ async function logChatSession(sessionData) {
 }
 
 // Log tool calls to MongoDB
-async function logToolCall(toolData, sessionId, userInfo, result = {}, userId = null) {
+async function logToolCall(toolData, sessionId, userInfo, result = {}, userId = null, tenantId = DEFAULT_TENANT_ID) {
   try {
     // Check if database is connected
     if (!database.isConnectionReady()) {
@@ -39,12 +43,20 @@ async function logToolCall(toolData, sessionId, userInfo, result = {}, userId =
     }
 
     const toolEntry = new ToolCall({
+      tenantId,
       type: toolData.type,
       data: {
         email: toolData.email,
         name: toolData.name,
         notes: toolData.notes,
         question: toolData.question,
+        factKind: toolData.factKind,
+        factValue: toolData.factValue,
+        meetingId: toolData.meetingId,
+        linkId: toolData.linkId,
+        opportunityId: toolData.opportunityId,
+        toolName: toolData.toolName,
+        arguments: toolData.arguments,
       },
       sessionId,
       userId,
@@ -55,6 +67,7 @@ async function logToolCall(toolData, sessionId, userInfo, result = {}, userId =
       },
       result: {
         status: result.status || 'success',
+        errorCode: result.errorCode,
         message: result.message || 'Tool executed successfully',
         processingTime: result.processingTime || 0,
       },
@@ -71,10 +84,10 @@ async function logToolCall(toolData, sessionId, userInfo, result = {}, userId =
 }
 
 // Get recent chat sessions from MongoDB
-async function getRecentChats(limit = 50) {
+async function getRecentChats(tenantId, limit = 50) {
   try {
     await database.waitForConnection();
-    return await Chat.getRecentChats(limit);
+    return await Chat.getRecentChats(tenantId, limit);
   } catch (error) {
     console.error('❌ Error fetching recent chats:', error);
     return [];
@@ -82,10 +95,10 @@ async function getRecentChats(limit = 50) {
 }
 
 // Get recent tool calls from MongoDB
-async function getRecentToolCalls(limit = 50) {
+async function getRecentToolCalls(tenantId, limit = 50) {
   try {
     await database.waitForConnection();
-    return await ToolCall.getRecentToolCalls(limit);
+    return await ToolCall.getRecentToolCalls(tenantId, limit);
   } catch (error) {
     console.error('❌ Error fetching recent tool calls:', error);
     return [];
@@ -93,15 +106,15 @@ async function getRecentToolCalls(limit = 50) {
 }
 
 // Get analytics data from MongoDB
-async function getAnalytics() {
+async function getAnalytics(tenantId) {
   try {
     await database.waitForConnection();
 
     // Get analytics from all models
     const [chatAnalytics, toolAnalytics, userStats] = await Promise.all([
-      Chat.getAnalytics(),
-      ToolCall.getToolAnalytics(),
-      User.getUserStats(),
+      Chat.getAnalytics(tenantId),
+      ToolCall.getToolAnalytics(tenantId),
+      User.getUserStats(tenantId),
     ]);
 
     return {
@@ -123,6 +136,7 @@ async function getAnalytics() {
         topUsers: userStats.topUsers,
       },
       activeSessions: chatAnalytics.activeSessions,
+      routes: chatAnalytics.routes,
     };
   } catch (error) {
     console.error('❌ Error generating analytics:', error);
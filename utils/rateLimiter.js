@@ -1,17 +1,25 @@
 const RateLimit = require('../models/RateLimit');
 const database = require('../models/database');
+const { DEFAULT_TENANT_ID, tenantFilter } = require('../models/tenantScope');
+const { emitEvent } = require('../lib/webhooks');
 
 class RateLimiter {
   constructor() {
-    // Set rate limits: daily 80
+    // Set rate limits: daily 80 (tenants may override)
     this.MAX_MESSAGES_PER_DAY = 80;
   }
 
+  getDailyLimit(tenant = null) {
+    return tenant?.rateLimits?.dailyMessages || this.MAX_MESSAGES_PER_DAY;
+  }
+
   // Simple rate limit check - just increment and check in one operation
-  async checkRateLimit(sessionId, ip) {
+  async checkRateLimit(sessionId, ip, tenant = null) {
     try {
       await database.waitForConnection();
 
+      const tenantId = tenant?.id || DEFAULT_TENANT_ID;
+      const maxDaily = this.getDailyLimit(tenant);
       const now = new Date();
       const today = new Date();
       today.setHours(0, 0, 0, 0);
@@ -21,10 +29,12 @@ class RateLimiter {
       // Simple: just use IP for rate limiting
       console.time('RateLimit.findOneAndUpdate');
       const result = await RateLimit.findOneAndUpdate(
-        { identifier: ip, type: 'ip' },
+        // tenantFilter also matches counters written before multi-tenancy (no tenantId)
+        { ...tenantFilter(tenantId), identifier: ip, type: 'ip' },
         {
           $inc: { dailyCount: 1 },
           $setOnInsert: {
+            tenantId,
             identifier: ip,
             type: 'ip',
             dailyResetTime: tomorrow,
@@ -44,7 +54,18 @@ class RateLimiter {
       }
 
       // Check limits
-      if (result.dailyCount > this.MAX_MESSAGES_PER_DAY) {
+      if (result.dailyCount > maxDaily) {
+        // Announce the crossing once, not every blocked message after it
+        if (result.dailyCount === maxDaily + 1) {
+          emitEvent('rate_limit.exceeded', tenantId, {
+            sessionId,
+            ip,
+            reason: 'daily_limit',
+            dailyCount: result.dailyCount,
+            dailyLimit: maxDaily,
+            resetAt: tomorrow.toISOString(),
+          });
+        }
         return {
           allowed: false,
           reason: 'daily_limit',
@@ -71,17 +92,20 @@ class RateLimiter {
   }
 
   // No separate increment - it's done in checkRateLimit
-  async incrementCount(sessionId, ip) {
+  async incrementCount(sessionId, ip, tenant = null) {
     // This is now handled in checkRateLimit, so just return the current counts
-    return this.getCounts(sessionId, ip);
+    return this.getCounts(sessionId, ip, tenant);
   }
 
   // Simple get counts
-  async getCounts(sessionId, ip) {
+  async getCounts(sessionId, ip, tenant = null) {
+    const maxDaily = this.getDailyLimit(tenant);
+
     try {
       await database.waitForConnection();
 
       const result = await RateLimit.findOne({
+        ...tenantFilter(tenant?.id || DEFAULT_TENANT_ID),
         identifier: ip,
         type: 'ip',
       });
@@ -89,19 +113,19 @@ class RateLimiter {
       if (result) {
         return {
           dailyCount: result.dailyCount,
-          maxDaily: this.MAX_MESSAGES_PER_DAY,
+          maxDaily,
         };
       }
 
       return {
         dailyCount: 0,
-        maxDaily: this.MAX_MESSAGES_PER_DAY,
+        maxDaily,
       };
     } catch (error) {
       console.error('Get counts error:', error);
       return {
         dailyCount: 0,
-        maxDaily: this.MAX_MESSAGES_PER_DAY,
+        maxDaily,
       };
     }
   }
@@ -116,12 +140,12 @@ class RateLimiter {
   }
 
   // Get rate limit headers
-  async getRateLimitHeaders(sessionId, ip) {
-    const counts = await this.getCounts(sessionId, ip);
+  async getRateLimitHeaders(sessionId, ip, tenant = null) {
+    const counts = await this.getCounts(sessionId, ip, tenant);
 
     return {
-      'X-RateLimit-Daily-Limit': this.MAX_MESSAGES_PER_DAY,
-      'X-RateLimit-Daily-Remaining': Math.max(0, this.MAX_MESSAGES_PER_DAY - counts.dailyCount),
+      'X-RateLimit-Daily-Limit': counts.maxDaily,
+      'X-RateLimit-Daily-Remaining': Math.max(0, counts.maxDaily - counts.dailyCount),
       'X-RateLimit-Daily-Used': counts.dailyCount,
     };
   }
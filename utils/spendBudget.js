@@ -0,0 +1,87 @@
+const SpendCounter = require('../models/SpendCounter');
+const database = require('../models/database');
+
+const STATUS_CACHE_MS = 15 * 1000;
+
+// Site-wide daily/monthly LLM budget. Past the reduce threshold turns go to the cheaper model with
+// shorter replies; at 100% the model is skipped entirely until the period rolls over.
+class SpendBudget {
+  constructor() {
+    this.cached = null;
+  }
+
+  // Limits from the environment; unset limits are not enforced
+  getLimits() {
+    const read = name => parseFloat(process.env[name]) || null;
+    return {
+      day: { cost: read('BUDGET_DAILY_COST'), tokens: read('BUDGET_DAILY_TOKENS') },
+      month: { cost: read('BUDGET_MONTHLY_COST'), tokens: read('BUDGET_MONTHLY_TOKENS') },
+      reduceAt: parseFloat(process.env.BUDGET_REDUCE_AT) || 0.8,
+    };
+  }
+
+  isEnabled(limits = this.getLimits()) {
+    return ['day', 'month'].some(period => limits[period].cost || limits[period].tokens);
+  }
+
+  // Highest share of any configured limit that has been used
+  usedRatio(spend, limits) {
+    let ratio = 0;
+    ['day', 'month'].forEach(period => {
+      if (limits[period].cost) {
+        ratio = Math.max(ratio, spend[period].cost / limits[period].cost);
+      }
+      if (limits[period].tokens) {
+        ratio = Math.max(ratio, spend[period].tokens / limits[period].tokens);
+      }
+    });
+    return ratio;
+  }
+
+  // { level: 'normal' | 'reduced' | 'exhausted', used, spend, limits }
+  async getStatus() {
+    const limits = this.getLimits();
+    if (!this.isEnabled(limits)) {
+      return { enabled: false, level: 'normal', used: 0 };
+    }
+
+    const { day } = SpendCounter.periodKeys();
+    if (!this.cached || this.cached.expiresAt < Date.now() || this.cached.day !== day) {
+      try {
+        await database.waitForConnection();
+        this.cached = { spend: await SpendCounter.getCurrent(), day, expiresAt: Date.now() + STATUS_CACHE_MS };
+      } catch (error) {
+        console.error('Spend budget error:', error);
+        // Fail open like the rate limiter: an unreachable counter shouldn't take the bot down
+        return { enabled: true, level: 'normal', used: 0, error: 'spend unavailable' };
+      }
+    }
+
+    const used = this.usedRatio(this.cached.spend, limits);
+    const level = used >= 1 ? 'exhausted' : used >= limits.reduceAt ? 'reduced' : 'normal';
+
+    return { enabled: true, level, used, spend: this.cached.spend, limits };
+  }
+
+  // Add a turn's usage summary to today's and this month's counters
+  async record(usageSummary) {
+    if (!usageSummary?.calls?.length || !database.isConnectionReady()) {
+      return;
+    }
+
+    try {
+      await SpendCounter.addUsage(usageSummary);
+      // Keep the cached status roughly current between refreshes
+      if (this.cached) {
+        ['day', 'month'].forEach(period => {
+          this.cached.spend[period].tokens += usageSummary.totalTokens;
+          this.cached.spend[period].cost += usageSummary.cost;
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error recording LLM spend:', error);
+    }
+  }
+}
+
+module.exports = new SpendBudget();